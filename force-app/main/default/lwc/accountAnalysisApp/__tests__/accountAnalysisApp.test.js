@@ -0,0 +1,117 @@
+import { createElement } from "lwc";
+import AccountAnalysisApp from "c/accountAnalysisApp";
+import { CurrentPageReference } from "lightning/navigation";
+import { getRecords } from "lightning/uiRecordApi";
+
+// The panels' Apex calls never settle, so only the app itself is exercised
+jest.mock(
+  "@salesforce/apex/AccountRelationshipHealthController.getRelationshipHealth",
+  () => ({ default: jest.fn(() => new Promise(() => {})) }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/AccountRelationshipHealthController.getHierarchyHealth",
+  () => ({ default: jest.fn(() => new Promise(() => {})) }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/AccountCompanyResearchController.getCompanyResearch",
+  () => ({ default: jest.fn(() => new Promise(() => {})) }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/AccountCompanyResearchController.getResearchVersions",
+  () => ({ default: jest.fn(() => new Promise(() => {})) }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/AccountHealthActionController.getActionTasks",
+  () => ({ default: jest.fn(() => new Promise(() => {})) }),
+  { virtual: true }
+);
+jest.mock(
+  "@salesforce/apex/AccountPortfolioController.getPortfolio",
+  () => ({ default: jest.fn(() => new Promise(() => {})) }),
+  { virtual: true }
+);
+
+const SHORT_ID = "001000000000001";
+const LONG_ID = "001000000000001AAA";
+
+const PAGE_REFERENCE = {
+  type: "standard__navItemPage",
+  attributes: { apiName: "Account_Analysis" },
+  state: { c__accountId: SHORT_ID }
+};
+
+const RECENT_RECORDS = {
+  results: [
+    {
+      statusCode: 200,
+      result: {
+        id: LONG_ID,
+        fields: {
+          Name: { value: "Acme" },
+          Health_Score__c: { value: 72 },
+          Health_Status__c: { value: "Good" },
+          Health_Last_Analyzed__c: { value: null }
+        }
+      }
+    }
+  ]
+};
+
+function flushPromises() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function storedRecentIds() {
+  const key = window.localStorage.key(0);
+  return key ? JSON.parse(window.localStorage.getItem(key)) : [];
+}
+
+async function openFromShortIdLink() {
+  const element = createElement("c-account-analysis-app", {
+    is: AccountAnalysisApp
+  });
+  document.body.appendChild(element);
+  CurrentPageReference.emit(PAGE_REFERENCE);
+  await flushPromises();
+  getRecords.emit(RECENT_RECORDS);
+  await flushPromises();
+  return element;
+}
+
+describe("c-account-analysis-app", () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    window.localStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it("lists an account opened from a 15-character link under Recent", async () => {
+    const element = await openFromShortIdLink();
+
+    const recent = element.shadowRoot.querySelectorAll(".recent-account");
+    expect(recent).toHaveLength(1);
+    expect(recent[0].textContent).toContain("Acme");
+    expect(recent[0].classList).toContain("active");
+    expect(storedRecentIds()).toEqual([SHORT_ID]);
+  });
+
+  it("keeps one recent entry when the account is picked by its 18-character Id", async () => {
+    const element = await openFromShortIdLink();
+
+    element.shadowRoot.querySelector("lightning-record-picker").dispatchEvent(
+      new CustomEvent("change", { detail: { recordId: LONG_ID } })
+    );
+    await flushPromises();
+
+    expect(storedRecentIds()).toEqual([LONG_ID]);
+    expect(
+      element.shadowRoot.querySelectorAll(".recent-account")
+    ).toHaveLength(1);
+  });
+});
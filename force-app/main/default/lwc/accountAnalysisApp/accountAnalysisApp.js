@@ -1,16 +1,279 @@
-import { LightningElement, track } from "lwc";
+import { LightningElement, track, wire } from "lwc";
+import { CurrentPageReference, NavigationMixin } from "lightning/navigation";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import { getRecords } from "lightning/uiRecordApi";
+import USER_ID from "@salesforce/user/Id";
+import {
+  EXPORT_FORMATS,
+  buildCsv,
+  buildFileName,
+  buildHtml,
+  buildMarkdown,
+  downloadFile
+} from "c/accountAnalysisExport";
+import {
+  CANCELLED,
+  COMPARISON_PANEL,
+  FAILED,
+  HEALTH_PANEL,
+  PANEL_LABELS,
+  RESEARCH_PANEL,
+  RUNNING
+} from "c/accountAnalysisStatus";
+import { formatDateTime } from "c/accountAnalysisFormat";
 
-export default class AccountAnalysisApp extends LightningElement {
+const CUSTOM_WINDOW = "custom";
+const MIN_COMPARISON_ACCOUNTS = 2;
+const MAX_COMPARISON_ACCOUNTS = 5;
+const DEFAULT_WINDOW = "90";
+
+// Page URL state, so a link such as
+// /lightning/n/Account_Analysis?c__accountId=001... opens an account
+const URL_ACCOUNT = "c__accountId";
+const URL_MODE = "c__mode";
+const URL_COMPARE = "c__compare";
+const URL_WINDOW = "c__window";
+const URL_START = "c__startDate";
+const URL_END = "c__endDate";
+const URL_KEYS = [
+  URL_ACCOUNT,
+  URL_MODE,
+  URL_COMPARE,
+  URL_WINDOW,
+  URL_START,
+  URL_END
+];
+const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+// Recent accounts are kept in the browser, per user
+const RECENT_STORAGE_KEY = "accountAnalysis.recentAccounts." + USER_ID;
+const MAX_RECENT_ACCOUNTS = 8;
+const RECENT_FIELDS = ["Account.Name"];
+const RECENT_OPTIONAL_FIELDS = [
+  "Account.Health_Score__c",
+  "Account.Health_Status__c",
+  "Account.Health_Last_Analyzed__c"
+];
+
+// Record Ids from the URL may be the 15-character form of the 18-character
+// Ids the UI API returns; recent account details are keyed by the 15
+// characters both forms share
+function idKey(id) {
+  return id ? id.substring(0, 15) : id;
+}
+
+function isSameId(left, right) {
+  return !!left && !!right && idKey(left) === idKey(right);
+}
+
+// Child component of each panel, used to cancel its run
+const PANEL_COMPONENTS = {
+  [HEALTH_PANEL]: "c-account-relationship-health",
+  [RESEARCH_PANEL]: "c-account-research",
+  [COMPARISON_PANEL]: "c-account-health-comparison"
+};
+
+const STATUS_ICONS = {
+  [RUNNING]: "utility:spinner",
+  [FAILED]: "utility:error",
+  [CANCELLED]: "utility:ban"
+};
+
+export default class AccountAnalysisApp extends NavigationMixin(
+  LightningElement
+) {
   @track selectedAccountId = null;
   @track selectedAccountName = null;
-  @track isAnalyzing = false;
+  @track analysisMode = "single";
+  @track comparisonAccountIds = [];
+  @track comparisonAccountNames = {};
+
+  @track lookbackOption = DEFAULT_WINDOW;
+  @track customStartDate = null;
+  @track customEndDate = null;
+
+  // Each run gets a request token, passed to the panels as their trigger.
+  // panelStatuses is keyed by panel: { token, status, message } for the
+  // panel's latest run.
+  requestSequence = 0;
+  @track panelStatuses = {};
+
+  // Latest results from the child panels, used for exports
+  @track exportHealth = null;
+  @track exportResearch = null;
+
+  // The page reference last read or written, so the app's own URL updates
+  // are not applied twice
+  pageReference = null;
+
+  // Most recent first; details (name and stored score) are keyed by Id
+  @track recentAccountIds = [];
+  @track recentAccountDetails = {};
+  // getRecords request for the recent accounts; its recordIds are the Ids
+  // the wired results line up with
+  recentRecordsRequest;
+
+  windowOptions = [
+    { label: "Last 30 Days", value: "30" },
+    { label: "Last 90 Days", value: "90" },
+    { label: "Last 180 Days", value: "180" },
+    { label: "Last 365 Days", value: "365" },
+    { label: "Custom Range", value: CUSTOM_WINDOW }
+  ];
+
+  modeOptions = [
+    { label: "Single Account", value: "single" },
+    { label: "Compare Accounts", value: "compare" }
+  ];
 
   connectedCallback() {
+    this.setRecentAccountIds(this.loadRecentAccountIds());
     // Hide the default Salesforce app page header
     this.hideDefaultHeader();
   }
 
+  // Opens the account, mode and window in the URL: on first load, and when
+  // the user goes back or follows a link to the page that is already open
+  @wire(CurrentPageReference)
+  wiredPageReference(pageReference) {
+    if (!pageReference) {
+      return;
+    }
+    const previous = this.pageReference;
+    this.pageReference = pageReference;
+    const state = this.readUrlState(pageReference.state);
+    if (previous && this.isSameUrlState(state, this.currentUrlState)) {
+      return;
+    }
+    this.applyUrlState(state);
+  }
+
+  readUrlState(pageState = {}) {
+    const validId = (value) => (ID_PATTERN.test(value || "") ? value : null);
+    const windowOption = this.windowOptions.some(
+      (option) => option.value === pageState[URL_WINDOW]
+    )
+      ? pageState[URL_WINDOW]
+      : DEFAULT_WINDOW;
+    const compareIds = (pageState[URL_COMPARE] || "")
+      .split(",")
+      .map(validId)
+      .filter((id, index, ids) => id && ids.indexOf(id) === index)
+      .slice(0, MAX_COMPARISON_ACCOUNTS);
+    const isCustom = windowOption === CUSTOM_WINDOW;
+    return {
+      accountId: validId(pageState[URL_ACCOUNT]),
+      mode: pageState[URL_MODE] === "compare" ? "compare" : "single",
+      compareIds,
+      lookbackOption: windowOption,
+      startDate: (isCustom && pageState[URL_START]) || null,
+      endDate: (isCustom && pageState[URL_END]) || null
+    };
+  }
+
+  get currentUrlState() {
+    return {
+      accountId: this.selectedAccountId,
+      mode: this.analysisMode,
+      compareIds: this.comparisonAccountIds,
+      lookbackOption: this.lookbackOption,
+      startDate: this.isCustomWindow ? this.customStartDate : null,
+      endDate: this.isCustomWindow ? this.customEndDate : null
+    };
+  }
+
+  isSameUrlState(a, b) {
+    return (
+      a.accountId === b.accountId &&
+      a.mode === b.mode &&
+      a.compareIds.join(",") === b.compareIds.join(",") &&
+      a.lookbackOption === b.lookbackOption &&
+      a.startDate === b.startDate &&
+      a.endDate === b.endDate
+    );
+  }
+
+  applyUrlState(state) {
+    const accountChanged = state.accountId !== this.selectedAccountId;
+    const modeChanged = state.mode !== this.analysisMode;
+    const comparisonChanged =
+      state.compareIds.join(",") !== this.comparisonAccountIds.join(",");
+    const windowChanged =
+      state.lookbackOption !== this.lookbackOption ||
+      state.startDate !== this.windowStartDate ||
+      state.endDate !== this.windowEndDate;
+
+    this.lookbackOption = state.lookbackOption;
+    this.customStartDate = state.startDate;
+    this.customEndDate = state.endDate;
+    this.comparisonAccountIds = state.compareIds;
+
+    if (modeChanged) {
+      this.cancelAnalysis();
+      this.panelStatuses = {};
+      this.analysisMode = state.mode;
+    }
+    if (this.isCompareMode) {
+      // A shared comparison runs as soon as it is opened
+      if (
+        (modeChanged || comparisonChanged || windowChanged) &&
+        this.canCompare &&
+        this.isWindowValid
+      ) {
+        this.analysisTrigger = this.startRequest([COMPARISON_PANEL]);
+      }
+      if (accountChanged) {
+        this.selectedAccountId = state.accountId;
+        this.selectedAccountName = null;
+      }
+    } else if (accountChanged) {
+      if (state.accountId) {
+        this.selectAccount(state.accountId, null);
+      } else {
+        this.cancelAnalysis();
+        this.clearSelection();
+      }
+    } else if (modeChanged && this.selectedAccountId) {
+      this.triggerAnalysis();
+    } else if (windowChanged) {
+      this.refreshForWindow();
+    }
+  }
+
+  // Writes the app's state to the URL without adding a history entry, so
+  // the address can be bookmarked or shared
+  updateUrlState() {
+    if (!this.pageReference) {
+      return;
+    }
+    const current = this.currentUrlState;
+    const written = this.readUrlState(this.pageReference.state);
+    if (this.isSameUrlState(written, current)) {
+      return;
+    }
+    const state = { ...this.pageReference.state };
+    URL_KEYS.forEach((key) => delete state[key]);
+    if (current.accountId) {
+      state[URL_ACCOUNT] = current.accountId;
+    }
+    if (current.mode === "compare") {
+      state[URL_MODE] = current.mode;
+    }
+    if (current.compareIds.length) {
+      state[URL_COMPARE] = current.compareIds.join(",");
+    }
+    if (current.lookbackOption !== DEFAULT_WINDOW) {
+      state[URL_WINDOW] = current.lookbackOption;
+    }
+    if (current.startDate) {
+      state[URL_START] = current.startDate;
+    }
+    if (current.endDate) {
+      state[URL_END] = current.endDate;
+    }
+    this[NavigationMixin.Navigate]({ ...this.pageReference, state }, true);
+  }
+
   hideDefaultHeader() {
     // Use setTimeout to ensure DOM is ready and flexipage has rendered
     setTimeout(() => {
@@ -63,25 +326,23 @@ export default class AccountAnalysisApp extends LightningElement {
     try {
       // lightning-record-picker provides recordId in event.detail.recordId
       const accountId = event.detail.recordId;
-      
+
       if (accountId) {
-        this.selectedAccountId = accountId;
-        
         // Get account name from the record if available
+        let accountName = null;
         if (event.detail.record && event.detail.record.fields) {
-          this.selectedAccountName = event.detail.record.fields.Name?.value || null;
+          accountName = event.detail.record.fields.Name?.value || null;
         } else if (event.detail.record && event.detail.record.Name) {
-          this.selectedAccountName = event.detail.record.Name;
-        } else {
-          this.selectedAccountName = null;
+          accountName = event.detail.record.Name;
         }
-        
+
         // Auto-trigger analysis when account is selected
-        this.triggerAnalysis();
+        this.selectAccount(accountId, accountName);
       } else {
         // Clear selection if no account selected
-        this.selectedAccountId = null;
-        this.selectedAccountName = null;
+        this.cancelAnalysis();
+        this.clearSelection();
+        this.updateUrlState();
       }
     } catch (error) {
       console.error('Error handling account change:', error);
@@ -89,23 +350,479 @@ export default class AccountAnalysisApp extends LightningElement {
     }
   }
 
+  // Row picked in the portfolio: load it into the picker and analyze it
+  handlePortfolioSelect(event) {
+    const { accountId, accountName } = event.detail;
+    if (!accountId) {
+      return;
+    }
+    this.selectAccount(accountId, accountName);
+  }
+
+  handleRecentAccountSelect(event) {
+    const accountId = event.currentTarget.dataset.id;
+    if (accountId) {
+      this.selectAccount(
+        accountId,
+        this.recentAccountDetails[idKey(accountId)]?.name
+      );
+    }
+  }
+
+  // Opens an account from the picker, the portfolio, the recent accounts or
+  // a link, and analyzes it
+  selectAccount(accountId, accountName) {
+    if (!isSameId(accountId, this.selectedAccountId)) {
+      this.cancelAnalysis();
+      this.exportHealth = null;
+      this.exportResearch = null;
+    }
+    this.selectedAccountId = accountId;
+    this.selectedAccountName =
+      accountName || this.recentAccountDetails[idKey(accountId)]?.name || null;
+    this.rememberAccount(accountId);
+    this.updateUrlState();
+    if (this.isSingleMode) {
+      this.triggerAnalysis();
+    }
+  }
+
+  clearSelection() {
+    this.selectedAccountId = null;
+    this.selectedAccountName = null;
+    this.exportHealth = null;
+    this.exportResearch = null;
+    this.panelStatuses = {};
+  }
+
+  // Recent accounts
+  loadRecentAccountIds() {
+    try {
+      const stored = JSON.parse(
+        window.localStorage.getItem(RECENT_STORAGE_KEY) || "[]"
+      );
+      // Earlier versions could store an account in both Id forms
+      return Array.isArray(stored)
+        ? stored
+            .filter(
+              (id, index) =>
+                ID_PATTERN.test(id) &&
+                stored.findIndex((other) => isSameId(other, id)) === index
+            )
+            .slice(0, MAX_RECENT_ACCOUNTS)
+        : [];
+    } catch (error) {
+      // Storage can be blocked or hold something else; start empty
+      return [];
+    }
+  }
+
+  setRecentAccountIds(accountIds) {
+    this.recentAccountIds = accountIds;
+    this.recentRecordsRequest = accountIds.length
+      ? [
+          {
+            recordIds: [...accountIds],
+            fields: RECENT_FIELDS,
+            optionalFields: RECENT_OPTIONAL_FIELDS
+          }
+        ]
+      : undefined;
+  }
+
+  saveRecentAccountIds(accountIds) {
+    this.setRecentAccountIds(accountIds);
+    try {
+      window.localStorage.setItem(
+        RECENT_STORAGE_KEY,
+        JSON.stringify(accountIds)
+      );
+    } catch (error) {
+      console.error("Error saving recent accounts:", error);
+    }
+  }
+
+  rememberAccount(accountId) {
+    this.saveRecentAccountIds(
+      [
+        accountId,
+        ...this.recentAccountIds.filter((id) => !isSameId(id, accountId))
+      ].slice(0, MAX_RECENT_ACCOUNTS)
+    );
+  }
+
+  // Names and the scores stored by the last analysis. Accounts that were
+  // deleted or are no longer shared with the user are dropped.
+  @wire(getRecords, { records: "$recentRecordsRequest" })
+  wiredRecentAccounts({ data, error }) {
+    if (data) {
+      // Results are in the order of the Ids requested. A response to an
+      // earlier request (before another account was selected) does not line
+      // up with them, so nothing is pruned from it.
+      const requestedIds = this.recentRecordsRequest?.[0].recordIds || [];
+      const linedUp =
+        data.results.length === requestedIds.length &&
+        data.results.every(
+          (item, index) =>
+            !item.result || isSameId(item.result.id, requestedIds[index])
+        );
+      const details = {};
+      const missing = [];
+      data.results.forEach((item, index) => {
+        if (item.statusCode === 200 && item.result) {
+          const fields = item.result.fields;
+          details[idKey(item.result.id)] = {
+            name: fields.Name?.value,
+            score: fields.Health_Score__c?.value,
+            status: fields.Health_Status__c?.value,
+            lastAnalyzed: fields.Health_Last_Analyzed__c?.value
+          };
+        } else if (linedUp) {
+          missing.push(requestedIds[index]);
+        }
+      });
+      this.recentAccountDetails = details;
+      const selected = details[idKey(this.selectedAccountId)];
+      if (!this.selectedAccountName && selected) {
+        this.selectedAccountName = selected.name;
+      }
+      if (missing.length) {
+        this.saveRecentAccountIds(
+          this.recentAccountIds.filter((id) => !missing.includes(id))
+        );
+      }
+    } else if (error) {
+      console.error("Error loading recent accounts:", error);
+    }
+  }
+
+  get recentAccounts() {
+    return this.recentAccountIds
+      .filter((id) => this.recentAccountDetails[idKey(id)])
+      .map((id) => {
+        const details = this.recentAccountDetails[idKey(id)];
+        const hasScore = details.score !== null && details.score !== undefined;
+        const status = (details.status || "")
+          .toLowerCase()
+          .replace(" ", "-");
+        let itemClass = "recent-account";
+        if (isSameId(id, this.selectedAccountId)) {
+          itemClass += " active";
+        }
+        return {
+          id,
+          name: details.name,
+          hasScore,
+          score: hasScore ? Math.round(details.score) : null,
+          scoreClass: "recent-score " + status,
+          itemClass,
+          title: details.lastAnalyzed
+            ? details.name +
+              " · " +
+              (details.status || "") +
+              " · analyzed " +
+              formatDateTime(details.lastAnalyzed)
+            : details.name + " · not analyzed yet"
+        };
+      });
+  }
+
+  get hasRecentAccounts() {
+    return this.recentAccounts.length > 0;
+  }
+
   triggerAnalysis() {
     if (!this.selectedAccountId) {
       return;
     }
 
-    this.isAnalyzing = true;
-    
-    // Increment trigger to signal child components to analyze
-    this.analysisTrigger = Date.now();
-    
-    // Reset analyzing state after a short delay
-    setTimeout(() => {
-      this.isAnalyzing = false;
-    }, 500);
+    // A new token signals both panels to analyze
+    const token = this.startRequest([HEALTH_PANEL, RESEARCH_PANEL]);
+    this.analysisTrigger = token;
+    this.healthTrigger = token;
   }
 
   @track analysisTrigger = 0; // Used to trigger child component analysis
+  @track healthTrigger = 0; // Also fires when only the analysis window changes
+
+  // Cancels the given panels' runs and issues the token for their new run.
+  // Other panels that are still running keep going.
+  startRequest(panels) {
+    this.cancelAnalysis(panels);
+    this.requestSequence += 1;
+    const token = this.requestSequence;
+    const statuses = {};
+    Object.keys(this.panelStatuses).forEach((panel) => {
+      if (this.panelStatuses[panel].status === RUNNING) {
+        statuses[panel] = this.panelStatuses[panel];
+      }
+    });
+    panels.forEach((panel) => {
+      statuses[panel] = { token, status: RUNNING, message: null };
+    });
+    this.panelStatuses = statuses;
+    return token;
+  }
+
+  // Panels drop their in-flight responses; the status strip shows what was
+  // cancelled. Cancels every panel when none are given.
+  cancelAnalysis(panels = Object.keys(PANEL_COMPONENTS)) {
+    const statuses = { ...this.panelStatuses };
+    panels.forEach((panel) => {
+      const component = this.template.querySelector(PANEL_COMPONENTS[panel]);
+      if (component) {
+        component.cancel();
+      }
+      if (statuses[panel]?.status === RUNNING) {
+        statuses[panel] = { ...statuses[panel], status: CANCELLED };
+      }
+    });
+    this.panelStatuses = statuses;
+  }
+
+  handleCancelAnalysis() {
+    this.cancelAnalysis();
+  }
+
+  // Progress and errors reported by a panel; reports for an earlier run of
+  // that panel are ignored
+  handleAnalysisStatus(event) {
+    const { panel, requestToken, status, message } = event.detail;
+    const current = this.panelStatuses[panel];
+    if (!current || current.token !== requestToken) {
+      return;
+    }
+    this.panelStatuses = {
+      ...this.panelStatuses,
+      [panel]: { token: requestToken, status, message }
+    };
+  }
+
+  get isAnalyzing() {
+    return Object.values(this.panelStatuses).some(
+      (entry) => entry.status === RUNNING
+    );
+  }
+
+  get statusItems() {
+    return Object.keys(this.panelStatuses).map((panel) => {
+      const { status, message } = this.panelStatuses[panel];
+      return {
+        key: panel,
+        label: PANEL_LABELS[panel],
+        status,
+        message,
+        isRunning: status === RUNNING,
+        iconName: STATUS_ICONS[status] || "utility:success",
+        itemClass: "status-item " + status
+      };
+    });
+  }
+
+  // Shown while a run is in progress, and afterwards when something failed
+  // or was cancelled
+  get showStatusStrip() {
+    return (
+      this.isAnalyzing ||
+      Object.values(this.panelStatuses).some(
+        (entry) => entry.status === FAILED || entry.status === CANCELLED
+      )
+    );
+  }
+
+  handleWindowChange(event) {
+    this.lookbackOption = event.detail.value;
+    this.updateUrlState();
+    this.refreshForWindow();
+  }
+
+  handleCustomDateChange(event) {
+    if (event.target.name === "customStartDate") {
+      this.customStartDate = event.detail.value;
+    } else {
+      this.customEndDate = event.detail.value;
+    }
+    this.updateUrlState();
+    this.refreshForWindow();
+  }
+
+  // Re-run health analysis (research does not depend on the window)
+  refreshForWindow() {
+    if (!this.isWindowValid) {
+      return;
+    }
+    if (this.isSingleMode && this.selectedAccountId) {
+      this.healthTrigger = this.startRequest([HEALTH_PANEL]);
+    } else if (this.isCompareMode && this.canCompare && this.analysisTrigger) {
+      this.analysisTrigger = this.startRequest([COMPARISON_PANEL]);
+    }
+  }
+
+  get isCustomWindow() {
+    return this.lookbackOption === CUSTOM_WINDOW;
+  }
+
+  get isWindowValid() {
+    if (!this.isCustomWindow) {
+      return true;
+    }
+    return (
+      !!this.customStartDate &&
+      !!this.customEndDate &&
+      this.customStartDate <= this.customEndDate
+    );
+  }
+
+  get lookbackDays() {
+    return this.isCustomWindow ? null : Number(this.lookbackOption);
+  }
+
+  get windowStartDate() {
+    return this.isCustomWindow ? this.customStartDate : null;
+  }
+
+  get windowEndDate() {
+    return this.isCustomWindow ? this.customEndDate : null;
+  }
+
+  // Resolve names for the comparison pills and table headers
+  @wire(getRecords, { records: "$comparisonRecordsRequest" })
+  wiredComparisonAccounts({ data, error }) {
+    if (data) {
+      const names = { ...this.comparisonAccountNames };
+      data.results.forEach((item) => {
+        if (item.statusCode === 200 && item.result) {
+          names[item.result.id] = item.result.fields.Name?.value;
+        }
+      });
+      this.comparisonAccountNames = names;
+    } else if (error) {
+      console.error("Error loading comparison account names:", error);
+    }
+  }
+
+  get comparisonRecordsRequest() {
+    if (!this.comparisonAccountIds.length) {
+      return undefined;
+    }
+    return [{ recordIds: this.comparisonAccountIds, fields: ["Account.Name"] }];
+  }
+
+  handleModeChange(event) {
+    this.cancelAnalysis();
+    this.panelStatuses = {};
+    this.analysisMode = event.detail.value;
+    this.updateUrlState();
+    // The single-account panels are created again, so give them a new run
+    if (this.isSingleMode && this.selectedAccountId) {
+      this.triggerAnalysis();
+    }
+  }
+
+  handleComparisonAccountAdd(event) {
+    const accountId = event.detail.recordId;
+    // Clear the picker so the next account can be searched right away
+    event.target.clearSelection();
+    if (!accountId || this.comparisonAccountIds.includes(accountId)) {
+      return;
+    }
+    if (this.comparisonAccountIds.length >= MAX_COMPARISON_ACCOUNTS) {
+      this.showToast(
+        "Error",
+        "You can compare up to " + MAX_COMPARISON_ACCOUNTS + " accounts.",
+        "error"
+      );
+      return;
+    }
+    this.comparisonAccountIds = [...this.comparisonAccountIds, accountId];
+    this.updateUrlState();
+  }
+
+  handleComparisonAccountRemove(event) {
+    const accountId = event.detail.item.name;
+    this.comparisonAccountIds = this.comparisonAccountIds.filter(
+      (id) => id !== accountId
+    );
+    this.updateUrlState();
+  }
+
+  handleCompare() {
+    if (!this.canCompare) {
+      this.showToast(
+        "Error",
+        "Select between " +
+          MIN_COMPARISON_ACCOUNTS +
+          " and " +
+          MAX_COMPARISON_ACCOUNTS +
+          " accounts to compare",
+        "error"
+      );
+      return;
+    }
+
+    if (!this.isWindowValid) {
+      this.showToast("Error", "Choose a valid custom date range", "error");
+      return;
+    }
+
+    this.analysisTrigger = this.startRequest([COMPARISON_PANEL]);
+  }
+
+  get isCompareMode() {
+    return this.analysisMode === "compare";
+  }
+
+  get isSingleMode() {
+    return !this.isCompareMode;
+  }
+
+  get comparisonPills() {
+    return this.comparisonAccountIds.map((id) => ({
+      label: this.comparisonAccountNames[id] || id,
+      name: id
+    }));
+  }
+
+  get comparisonAccounts() {
+    return this.comparisonAccountIds.map((id) => ({
+      id,
+      name: this.comparisonAccountNames[id]
+    }));
+  }
+
+  get hasComparisonAccounts() {
+    return this.comparisonAccountIds.length > 0;
+  }
+
+  get canCompare() {
+    return (
+      this.comparisonAccountIds.length >= MIN_COMPARISON_ACCOUNTS &&
+      this.comparisonAccountIds.length <= MAX_COMPARISON_ACCOUNTS
+    );
+  }
+
+  get isCompareButtonDisabled() {
+    return this.isAnalyzing || !this.canCompare || !this.isWindowValid;
+  }
+
+  get comparisonHelpText() {
+    return (
+      this.comparisonAccountIds.length +
+      " of " +
+      MAX_COMPARISON_ACCOUNTS +
+      " accounts selected (minimum " +
+      MIN_COMPARISON_ACCOUNTS +
+      ")"
+    );
+  }
+
+  get showComparison() {
+    return this.isCompareMode && this.canCompare;
+  }
+
+  get showComparisonEmptyState() {
+    return this.isCompareMode && !this.canCompare;
+  }
 
   handleAnalyze() {
     if (!this.selectedAccountId) {
@@ -125,8 +842,67 @@ export default class AccountAnalysisApp extends LightningElement {
     return this.isAnalyzing || !this.hasSelectedAccount;
   }
 
+  handleHealthLoaded(event) {
+    // The child has already refreshed the cached account record, so the
+    // recent accounts pick up the new score
+    this.exportHealth = event.detail.analysis;
+  }
+
+  handleResearchLoaded(event) {
+    this.exportResearch = event.detail.research;
+  }
+
+  get isExportDisabled() {
+    return !this.exportHealth && !this.exportResearch;
+  }
+
+  get isCsvExportDisabled() {
+    return !this.exportHealth;
+  }
+
+  handleExport(event) {
+    const format = event.detail.value;
+    const report = {
+      accountName: this.selectedAccountName,
+      generatedAt: new Date(),
+      health: this.exportHealth,
+      research: this.exportResearch
+    };
+
+    let content;
+    if (format === "markdown") {
+      content = buildMarkdown(report);
+    } else if (format === "html") {
+      content = buildHtml(report);
+    } else {
+      content = buildCsv(report);
+    }
+
+    try {
+      downloadFile(
+        content,
+        buildFileName(report, format),
+        EXPORT_FORMATS[format].mimeType
+      );
+      if (format === "html") {
+        this.showToast(
+          "Export ready",
+          "Open the downloaded file and print it to save as PDF.",
+          "success"
+        );
+      }
+    } catch (error) {
+      console.error("Error exporting analysis:", error);
+      this.showToast("Error", "Unable to export the analysis.", "error");
+    }
+  }
+
+  get showSingleAnalysis() {
+    return this.isSingleMode && !!this.selectedAccountId;
+  }
+
   get showEmptyState() {
-    return !this.selectedAccountId;
+    return this.isSingleMode && !this.selectedAccountId;
   }
 
   showToast(title, message, variant) {
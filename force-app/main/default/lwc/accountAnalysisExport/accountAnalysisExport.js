@@ -0,0 +1,390 @@
+// Builds downloadable reports from the health analysis and company research
+// shown in accountAnalysisApp. A report is
+// { accountName, generatedAt, health, research } where health is the
+// AccountHealthAnalysis returned by Apex and research is a
+// LeadCompanyResearchResult; either may be missing.
+import {
+  formatCurrency,
+  formatDateTime,
+  formatNumber
+} from "c/accountAnalysisFormat";
+
+// Every built-in AccountHealthMetrics field, in display order
+const METRIC_FIELDS = [
+  { key: "emailCount", label: "Emails" },
+  { key: "taskCount", label: "Tasks" },
+  { key: "eventCount", label: "Meetings" },
+  { key: "callCount", label: "Calls" },
+  {
+    key: "avgCallDuration",
+    label: "Avg Call Duration (min)",
+    fractionDigits: 1
+  },
+  { key: "chatterCount", label: "Chatter Posts" },
+  { key: "caseCount", label: "Cases" },
+  { key: "openCases", label: "Open Cases" },
+  { key: "closedCases", label: "Closed Cases" },
+  { key: "escalatedCases", label: "Escalated Cases" },
+  { key: "highPriorityOpenCases", label: "High Priority Open Cases" },
+  { key: "oppCount", label: "Opportunities" },
+  { key: "activeOpps", label: "Active Opportunities" },
+  { key: "wonOpps", label: "Won Opportunities" },
+  { key: "closedWonACV", label: "Closed-Won ACV", isCurrency: true },
+  { key: "closedLostACV", label: "Closed-Lost ACV", isCurrency: true }
+];
+
+// Research snapshot facts, in the order accountResearch shows them
+const FACT_FIELDS = [
+  { key: "industry", label: "Industry" },
+  { key: "headquarters", label: "Headquarters" },
+  { key: "foundedYear", label: "Founded" },
+  { key: "employeeCountRange", label: "Employees" },
+  { key: "keyProducts", label: "Key Products/Services" },
+  { key: "targetMarket", label: "Target Market" },
+  { key: "keyExecutives", label: "Key Executives" },
+  { key: "website", label: "Website" },
+  { key: "growthIndicators", label: "Growth Indicators" }
+];
+
+const AI_DISCLAIMER =
+  "Agentforce uses generative AI, which can include inaccurate or harmful responses. Review the output for accuracy before sharing externally.";
+
+const PRINT_STYLES =
+  "body{font-family:Arial,Helvetica,sans-serif;color:#181818;margin:2rem;max-width:60rem}" +
+  "h1{font-size:1.5rem;margin-bottom:0.25rem}" +
+  "h2{font-size:1.25rem;border-bottom:2px solid #0176d3;padding-bottom:0.25rem;margin-top:2rem}" +
+  "h3{font-size:1rem;margin-top:1.25rem}" +
+  ".meta{color:#706e6b;font-size:0.85rem}" +
+  ".summary{display:flex;gap:1rem;flex-wrap:wrap}" +
+  ".tile{border:1px solid #e5e5e5;border-radius:0.5rem;padding:0.5rem 1rem;min-width:8rem}" +
+  ".tile-label{font-size:0.75rem;color:#706e6b;text-transform:uppercase}" +
+  ".tile-value{font-size:1.1rem;font-weight:700}" +
+  "table{border-collapse:collapse;width:100%}" +
+  "th,td{border:1px solid #e5e5e5;padding:0.35rem 0.5rem;text-align:left}" +
+  "th{background:#f3f3f3}" +
+  ".disclaimer{margin-top:2rem;font-size:0.75rem;color:#706e6b}" +
+  "@media print{body{margin:0}h2{break-after:avoid}table,ul{break-inside:avoid}}";
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", mimeType: "text/markdown" },
+  html: { extension: "html", mimeType: "text/html" },
+  csv: { extension: "csv", mimeType: "text/csv" }
+};
+
+export function buildMarkdown(report) {
+  const { health, research } = report;
+  const lines = [];
+
+  lines.push("# Account Analysis: " + accountTitle(report), "");
+  lines.push("_Generated " + formatDateTime(report.generatedAt) + "_", "");
+
+  if (health) {
+    lines.push("## Relationship Health", "");
+    lines.push("- **Score:** " + health.score + "/100 (" + scoreSourceLabel(health) + ")");
+    lines.push("- **Status:** " + (health.healthStatus || "Unknown"));
+    lines.push("- **Trend:** " + (health.trend || "Unknown"));
+    lines.push("- **Analysis Window:** " + windowLabel(health), "");
+
+    appendMarkdownList(lines, "Key Insights", health.keyInsights);
+    appendMarkdownList(lines, "Recommended Actions", health.recommendedActions);
+
+    lines.push("### Metrics", "", "| Metric | Value |", "| --- | --- |");
+    metricRows(health.metrics).forEach((row) => {
+      lines.push("| " + row.label + " | " + row.value + " |");
+    });
+    lines.push("");
+  }
+
+  if (research) {
+    lines.push("## Company Research", "");
+    if (research.overview) {
+      lines.push(research.overview, "");
+    }
+
+    const facts = factRows(research.facts);
+    if (facts.length) {
+      lines.push("### Company Snapshot", "");
+      facts.forEach((fact) => {
+        lines.push("- **" + fact.label + ":** " + fact.value);
+      });
+      lines.push("");
+    }
+
+    if (research.facts?.recentNews) {
+      lines.push(
+        "### Recent News",
+        "",
+        markdownLink(research.facts.recentNews, research.facts.recentNewsUrl),
+        ""
+      );
+    }
+
+    const headlines = (research.headlines || []).filter((h) => h?.title);
+    if (headlines.length) {
+      lines.push("### Recent Headlines", "");
+      headlines.forEach((headline) => {
+        lines.push("- " + markdownLink(headline.title, headline.url));
+      });
+      lines.push("");
+    }
+  }
+
+  lines.push("---", "", "_" + AI_DISCLAIMER + "_", "");
+  return lines.join("\n");
+}
+
+// Standalone page with print styles; open it and print to PDF
+export function buildHtml(report) {
+  const { health, research } = report;
+  let body = "";
+
+  body += "<h1>Account Analysis: " + escapeHtml(accountTitle(report)) + "</h1>";
+  body +=
+    '<p class="meta">Generated ' +
+    escapeHtml(formatDateTime(report.generatedAt)) +
+    "</p>";
+
+  if (health) {
+    body += "<h2>Relationship Health</h2>";
+    body += '<div class="summary">';
+    body += summaryTile("Score", health.score + "/100");
+    body += summaryTile("Status", health.healthStatus || "Unknown");
+    body += summaryTile("Trend", health.trend || "Unknown");
+    body += summaryTile("Window", windowLabel(health));
+    body += "</div>";
+    body +=
+      '<p class="meta">Score source: ' +
+      escapeHtml(scoreSourceLabel(health)) +
+      "</p>";
+
+    body += htmlList("Key Insights", health.keyInsights);
+    body += htmlList("Recommended Actions", health.recommendedActions);
+
+    body += "<h3>Metrics</h3><table><thead><tr><th>Metric</th><th>Value</th></tr></thead><tbody>";
+    metricRows(health.metrics).forEach((row) => {
+      body +=
+        "<tr><td>" +
+        escapeHtml(row.label) +
+        "</td><td>" +
+        escapeHtml(String(row.value)) +
+        "</td></tr>";
+    });
+    body += "</tbody></table>";
+  }
+
+  if (research) {
+    body += "<h2>Company Research</h2>";
+    if (research.overview) {
+      body += "<p>" + escapeHtml(research.overview) + "</p>";
+    }
+
+    const facts = factRows(research.facts);
+    if (facts.length) {
+      body += "<h3>Company Snapshot</h3><ul>";
+      facts.forEach((fact) => {
+        body +=
+          "<li><strong>" +
+          escapeHtml(fact.label) +
+          ":</strong> " +
+          escapeHtml(String(fact.value)) +
+          "</li>";
+      });
+      body += "</ul>";
+    }
+
+    if (research.facts?.recentNews) {
+      body +=
+        "<h3>Recent News</h3><p>" +
+        htmlLink(research.facts.recentNews, research.facts.recentNewsUrl) +
+        "</p>";
+    }
+
+    const headlines = (research.headlines || []).filter((h) => h?.title);
+    if (headlines.length) {
+      body += "<h3>Recent Headlines</h3><ul>";
+      headlines.forEach((headline) => {
+        body += "<li>" + htmlLink(headline.title, headline.url) + "</li>";
+      });
+      body += "</ul>";
+    }
+  }
+
+  body += '<p class="disclaimer">' + escapeHtml(AI_DISCLAIMER) + "</p>";
+
+  return (
+    "<!DOCTYPE html><html><head><meta charset=\"utf-8\">" +
+    "<title>Account Analysis: " +
+    escapeHtml(accountTitle(report)) +
+    "</title><style>" +
+    PRINT_STYLES +
+    "</style></head><body>" +
+    body +
+    "</body></html>"
+  );
+}
+
+// Metrics only: one row per built-in and custom metric
+export function buildCsv(report) {
+  const health = report.health || {};
+  const rows = [["Account", "Analysis Window", "Metric", "Value"]];
+  metricRows(health.metrics, true).forEach((row) => {
+    rows.push([accountTitle(report), windowLabel(health), row.label, row.value]);
+  });
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+export function buildFileName(report, format) {
+  const slug = accountTitle(report)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+  const date = (report.generatedAt || new Date()).toISOString().slice(0, 10);
+  return (
+    (slug || "account") +
+    "-analysis-" +
+    date +
+    "." +
+    EXPORT_FORMATS[format].extension
+  );
+}
+
+export function downloadFile(content, fileName, mimeType) {
+  const link = document.createElement("a");
+  link.href =
+    "data:" + mimeType + ";charset=utf-8," + encodeURIComponent(content);
+  link.download = fileName;
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
+
+function accountTitle(report) {
+  return report.accountName || "Account";
+}
+
+function windowLabel(health) {
+  return health?.window?.label || "Last 90 Days";
+}
+
+function scoreSourceLabel(health) {
+  return health.scoreSource === "Rules" ? "rule-based score" : "Agentforce score";
+}
+
+// Built-in metrics followed by the admin-defined ones. Raw rows keep
+// numbers unformatted for CSV and name the currency in the label instead;
+// dates stay ISO dates either way.
+function metricRows(metrics, raw) {
+  const currencyCode = metrics?.currencyCode;
+  const rawLabel = (label) =>
+    currencyCode ? label + " (" + currencyCode + ")" : label;
+  const rows = METRIC_FIELDS.map((field) => {
+    const value = Number(metrics?.[field.key] || 0);
+    if (raw) {
+      return {
+        label: field.isCurrency ? rawLabel(field.label) : field.label,
+        value
+      };
+    }
+    return {
+      label: field.label,
+      value: field.isCurrency
+        ? formatCurrency(value, currencyCode)
+        : formatNumber(value, field.fractionDigits)
+    };
+  });
+  (metrics?.customMetrics || []).forEach((metric) => {
+    if (!raw) {
+      rows.push({ label: metric.label, value: metric.displayValue });
+      return;
+    }
+    rows.push({
+      label: metric.format === "Currency" ? rawLabel(metric.label) : metric.label,
+      value: metric.dateValue || (metric.value ?? "")
+    });
+  });
+  return rows;
+}
+
+function factRows(facts) {
+  if (!facts) return [];
+  return FACT_FIELDS.filter((field) => facts[field.key]).map((field) => ({
+    label: field.label,
+    value: facts[field.key]
+  }));
+}
+
+function appendMarkdownList(lines, title, items) {
+  if (!items?.length) return;
+  lines.push("### " + title, "");
+  items.forEach((item) => lines.push("- " + htmlToMarkdown(item)));
+  lines.push("");
+}
+
+function htmlList(title, items) {
+  if (!items?.length) return "";
+  return (
+    "<h3>" +
+    escapeHtml(title) +
+    "</h3><ul>" +
+    items.map((item) => "<li>" + keepBold(item) + "</li>").join("") +
+    "</ul>"
+  );
+}
+
+function summaryTile(label, value) {
+  return (
+    '<div class="tile"><div class="tile-label">' +
+    escapeHtml(label) +
+    '</div><div class="tile-value">' +
+    escapeHtml(String(value)) +
+    "</div></div>"
+  );
+}
+
+// Insights and actions use <strong> for emphasis
+function htmlToMarkdown(text) {
+  return (text || "")
+    .replace(/<\/?strong>/gi, "**")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// Escapes everything, then restores the <strong> tags the AI output uses
+function keepBold(text) {
+  return escapeHtml(text)
+    .replace(/&lt;strong&gt;/gi, "<strong>")
+    .replace(/&lt;\/strong&gt;/gi, "</strong>");
+}
+
+function markdownLink(label, url) {
+  return isWebUrl(url) ? "[" + label + "](" + url + ")" : label;
+}
+
+function htmlLink(label, url) {
+  return isWebUrl(url)
+    ? '<a href="' + escapeHtml(url) + '">' + escapeHtml(label) + "</a>"
+    : escapeHtml(label);
+}
+
+function isWebUrl(url) {
+  return !!url && /^https?:\/\//i.test(url.trim());
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
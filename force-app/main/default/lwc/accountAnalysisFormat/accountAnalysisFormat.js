@@ -0,0 +1,39 @@
+// Number, currency and date formatting in the user's Salesforce locale
+// (not the browser's), shared by the analysis panels and the export.
+// Amounts come from Apex already converted to one currency; pass the code
+// Apex reports with them (AccountHealthMetrics.currencyCode).
+import LOCALE from "@salesforce/i18n/locale";
+import USER_CURRENCY from "@salesforce/i18n/currency";
+
+// Compact amount for tiles and tables, e.g. "€1.2M" or "1,2 Mio. €"
+export function formatCurrency(value, currencyCode) {
+  return new Intl.NumberFormat(LOCALE, {
+    style: "currency",
+    currency: currencyCode || USER_CURRENCY,
+    notation: "compact",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 1
+  }).format(Number(value) || 0);
+}
+
+export function formatNumber(value, fractionDigits = 0) {
+  return new Intl.NumberFormat(LOCALE, {
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  }).format(Number(value) || 0);
+}
+
+// Date-only values from Apex are ISO dates; they are read as local dates so
+// they do not shift a day in timezones behind UTC
+export function formatDate(value, options) {
+  if (!value) return "";
+  const date =
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(value + "T00:00:00")
+      : new Date(value);
+  return date.toLocaleDateString(LOCALE, options);
+}
+
+export function formatDateTime(value, options) {
+  return new Date(value || Date.now()).toLocaleString(LOCALE, options);
+}
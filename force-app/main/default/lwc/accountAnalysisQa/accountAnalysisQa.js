@@ -0,0 +1,202 @@
+import { LightningElement, api, track } from "lwc";
+import askQuestion from "@salesforce/apex/AccountAnalysisQaController.askQuestion";
+import { formatDateTime } from "c/accountAnalysisFormat";
+
+// Conversations are kept per account for the browser session
+const STORAGE_PREFIX = "accountAnalysis.qa.";
+const MAX_STORED_TURNS = 20;
+const MAX_QUESTION_LENGTH = 500;
+
+const SUGGESTED_QUESTIONS = [
+  "Which case is driving the decline?",
+  "Who did we lose the last deal to?",
+  "What are the customer's main complaints?"
+];
+
+const RECORD_ICONS = {
+  Email: "standard:email",
+  Case: "standard:case",
+  Opportunity: "standard:opportunity"
+};
+
+export default class AccountAnalysisQa extends LightningElement {
+  _accountId = null;
+
+  @api lookbackDays;
+  @api startDate;
+  @api endDate;
+  // LeadCompanyResearchResult shown in the research panel, if any
+  @api research;
+
+  @track turns = [];
+  @track question = "";
+  @track isAsking = false;
+  // Id of the question in flight; answers to any other are dropped
+  activeQuestionId = null;
+  questionSequence = 0;
+
+  maxQuestionLength = MAX_QUESTION_LENGTH;
+  suggestedQuestions = SUGGESTED_QUESTIONS;
+
+  @api
+  get accountId() {
+    return this._accountId;
+  }
+
+  // Each account has its own conversation; a question still in flight for
+  // the previous account is dropped
+  set accountId(value) {
+    if (value !== this._accountId) {
+      this.activeQuestionId = null;
+      this.isAsking = false;
+      this.question = "";
+      this.turns = this.loadTurns(value);
+    }
+    this._accountId = value;
+  }
+
+  get storageKey() {
+    return STORAGE_PREFIX + this._accountId;
+  }
+
+  loadTurns(accountId) {
+    if (!accountId) {
+      return [];
+    }
+    try {
+      const stored = JSON.parse(
+        window.sessionStorage.getItem(STORAGE_PREFIX + accountId) || "[]"
+      );
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      // Storage can be blocked or hold something else; start empty
+      return [];
+    }
+  }
+
+  saveTurns() {
+    try {
+      window.sessionStorage.setItem(
+        this.storageKey,
+        JSON.stringify(this.turns.slice(-MAX_STORED_TURNS))
+      );
+    } catch (error) {
+      console.error("Error saving the conversation:", error);
+    }
+  }
+
+  handleQuestionChange(event) {
+    this.question = event.target.value;
+  }
+
+  // Enter asks; Shift+Enter starts a new line
+  handleQuestionKeydown(event) {
+    if (event.key === "Enter" && !event.shiftKey) {
+      event.preventDefault();
+      this.handleAsk();
+    }
+  }
+
+  handleSuggestion(event) {
+    this.question = event.currentTarget.dataset.question;
+    this.handleAsk();
+  }
+
+  handleAsk() {
+    const question = (this.question || "").trim();
+    if (!question || this.isAsking || !this._accountId) {
+      return;
+    }
+
+    this.questionSequence += 1;
+    const questionId = this.questionSequence;
+    this.activeQuestionId = questionId;
+    this.isAsking = true;
+    this.question = "";
+
+    const history = this.turns
+      .filter((turn) => turn.answer)
+      .map((turn) => ({ question: turn.question, answer: turn.answer }));
+    const pending = {
+      id: "q" + Date.now(),
+      question,
+      answer: null,
+      citations: [],
+      pending: true
+    };
+    this.turns = [...this.turns, pending];
+
+    askQuestion({
+      accountId: this._accountId,
+      question,
+      history,
+      researchJson: this.research ? JSON.stringify(this.research) : null,
+      lookbackDays: this.lookbackDays ? Number(this.lookbackDays) : null,
+      startDate: this.startDate || null,
+      endDate: this.endDate || null
+    })
+      .then((result) => {
+        if (questionId !== this.activeQuestionId) {
+          return;
+        }
+        this.finishTurn(pending.id, {
+          answer: result.answer,
+          citations: result.citations || [],
+          askedAt: result.askedAt,
+          errorMessage: result.errorMessage
+        });
+      })
+      .catch((error) => {
+        if (questionId !== this.activeQuestionId) {
+          return;
+        }
+        this.finishTurn(pending.id, {
+          errorMessage:
+            error?.body?.message || "Unable to answer the question."
+        });
+      });
+  }
+
+  finishTurn(turnId, result) {
+    this.turns = this.turns.map((turn) =>
+      turn.id === turnId ? { ...turn, ...result, pending: false } : turn
+    );
+    this.isAsking = false;
+    this.activeQuestionId = null;
+    this.saveTurns();
+  }
+
+  handleClear() {
+    this.activeQuestionId = null;
+    this.isAsking = false;
+    this.turns = [];
+    this.saveTurns();
+  }
+
+  get hasTurns() {
+    return this.turns.length > 0;
+  }
+
+  get displayTurns() {
+    return this.turns.map((turn) => ({
+      ...turn,
+      askedAtLabel: turn.askedAt ? formatDateTime(turn.askedAt) : "",
+      hasCitations: !!turn.citations?.length,
+      sources: (turn.citations || []).map((citation) => ({
+        ...citation,
+        key: turn.id + citation.reference,
+        url: "/lightning/r/" + citation.recordId + "/view",
+        iconName: RECORD_ICONS[citation.recordType] || "standard:record",
+        label: "[" + citation.reference + "] " + (citation.title || "")
+      }))
+    }));
+  }
+
+  get isAskDisabled() {
+    return this.isAsking || !(this.question || "").trim();
+  }
+
+  get isClearDisabled() {
+    return this.isAsking || !this.hasTurns;
+  }
+}
@@ -0,0 +1,21 @@
+// Headless Account quick action: opens the Account Analysis tab with the
+// record's account selected, so the analysis starts right away
+import { LightningElement, api } from "lwc";
+import { NavigationMixin } from "lightning/navigation";
+
+// API name of the Lightning Component tab that hosts accountAnalysisApp
+const ANALYSIS_TAB = "Account_Analysis";
+
+export default class AccountAnalysisQuickAction extends NavigationMixin(
+  LightningElement
+) {
+  @api recordId;
+
+  @api invoke() {
+    this[NavigationMixin.Navigate]({
+      type: "standard__navItemPage",
+      attributes: { apiName: ANALYSIS_TAB },
+      state: { c__accountId: this.recordId }
+    });
+  }
+}
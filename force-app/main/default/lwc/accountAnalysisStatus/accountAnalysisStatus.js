@@ -0,0 +1,34 @@
+// Progress reporting from the analysis panels to accountAnalysisApp. Each
+// run a panel starts belongs to the app's request token (the panel's
+// analysis-trigger value); the app drops reports for tokens it has replaced.
+
+export const STATUS_EVENT = "analysisstatus";
+
+export const RUNNING = "running";
+export const COMPLETE = "complete";
+export const FAILED = "error";
+export const CANCELLED = "cancelled";
+
+// Panel names, also used as keys for the app's status strip
+export const HEALTH_PANEL = "health";
+export const RESEARCH_PANEL = "research";
+export const COMPARISON_PANEL = "comparison";
+
+export const PANEL_LABELS = {
+  [HEALTH_PANEL]: "Relationship Health",
+  [RESEARCH_PANEL]: "Company Research",
+  [COMPARISON_PANEL]: "Comparison"
+};
+
+// detail is { panel, requestToken, status, message }
+export function statusEvent(panel, requestToken, status, message) {
+  return new CustomEvent(STATUS_EVENT, {
+    detail: { panel, requestToken, status, message: message || null }
+  });
+}
+
+// Runs callback once the properties set in the current render have all
+// been applied, so a trigger setter sees the accountId set next to it
+export function afterPropertiesSet(callback) {
+  Promise.resolve().then(callback);
+}
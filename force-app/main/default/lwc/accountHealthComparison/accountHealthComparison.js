@@ -0,0 +1,262 @@
+import { LightningElement, api, track } from "lwc";
+import getRelationshipHealth from "@salesforce/apex/AccountRelationshipHealthController.getRelationshipHealth";
+import { ShowToastEvent } from "lightning/platformShowToastEvent";
+import AGENTFORCE_ICON from "@salesforce/resourceUrl/AgentforceIcon";
+import {
+  CANCELLED,
+  COMPARISON_PANEL,
+  COMPLETE,
+  FAILED,
+  RUNNING,
+  afterPropertiesSet,
+  statusEvent
+} from "c/accountAnalysisStatus";
+import { formatCurrency } from "c/accountAnalysisFormat";
+
+// Rows of the shared comparison table. lowerIsBetter flips which value is
+// highlighted as best/worst (fewer open cases or lost ACV is better).
+const METRIC_ROWS = [
+  { key: "emailCount", label: "Emails" },
+  { key: "taskCount", label: "Tasks" },
+  { key: "eventCount", label: "Meetings" },
+  { key: "callCount", label: "Calls" },
+  { key: "caseCount", label: "Cases", lowerIsBetter: true },
+  { key: "openCases", label: "Open Cases", lowerIsBetter: true },
+  {
+    key: "highPriorityOpenCases",
+    label: "High Priority Open Cases",
+    lowerIsBetter: true
+  },
+  { key: "oppCount", label: "Opportunities" },
+  { key: "activeOpps", label: "Active Opportunities" },
+  { key: "wonOpps", label: "Won Opportunities" },
+  { key: "closedWonACV", label: "Closed-Won ACV", isCurrency: true },
+  {
+    key: "closedLostACV",
+    label: "Closed-Lost ACV",
+    isCurrency: true,
+    lowerIsBetter: true
+  }
+];
+
+const GAUGE_RADIUS = 40;
+
+export default class AccountHealthComparison extends LightningElement {
+  // Analysis window shared by every compared account
+  @api lookbackDays;
+  @api startDate;
+  @api endDate;
+  @track results = [];
+  @track isLoading = false;
+  agentforceIcon = AGENTFORCE_ICON;
+  _accounts = [];
+  _analysisTrigger = null;
+  previousTrigger = null;
+  // Id of the comparison in flight; results from any other run are dropped
+  activeRunId = null;
+  runSequence = 0;
+
+  // [{ id, name }] for the 2-5 accounts being compared
+  @api
+  get accounts() {
+    return this._accounts;
+  }
+
+  set accounts(value) {
+    this._accounts = value || [];
+  }
+
+  @api
+  get analysisTrigger() {
+    return this._analysisTrigger;
+  }
+
+  set analysisTrigger(value) {
+    this._analysisTrigger = value;
+    if (value && value !== this.previousTrigger) {
+      this.previousTrigger = value;
+      afterPropertiesSet(() => {
+        if (this._accounts.length && this._analysisTrigger === value) {
+          this.handleCompare();
+        }
+      });
+    }
+  }
+
+  // Drops the comparison in flight; its results are ignored when they arrive
+  @api
+  cancel() {
+    if (!this.activeRunId) {
+      return;
+    }
+    this.activeRunId = null;
+    this.isLoading = false;
+    this.reportStatus(CANCELLED);
+  }
+
+  reportStatus(status, message) {
+    this.dispatchEvent(
+      statusEvent(COMPARISON_PANEL, this._analysisTrigger, status, message)
+    );
+  }
+
+  handleCompare() {
+    const accounts = [...this._accounts];
+    if (!accounts.length) {
+      return;
+    }
+
+    this.isLoading = true;
+    this.runSequence += 1;
+    const runId = this.runSequence;
+    this.activeRunId = runId;
+    this.reportStatus(RUNNING, "Analyzing " + accounts.length + " accounts");
+
+    // Analyze all accounts in parallel; one failure should not hide the others
+    Promise.allSettled(
+      accounts.map((account) =>
+        getRelationshipHealth({
+          accountId: account.id,
+          lookbackDays: this.lookbackDays ? Number(this.lookbackDays) : null,
+          startDate: this.startDate || null,
+          endDate: this.endDate || null
+        })
+      )
+    )
+      .then((outcomes) => {
+        if (runId !== this.activeRunId) return;
+        this.results = outcomes.map((outcome, index) => {
+          const account = accounts[index];
+          if (outcome.status === "fulfilled" && outcome.value) {
+            return {
+              accountId: account.id,
+              accountName: account.name || account.id,
+              score: outcome.value.score,
+              healthStatus: outcome.value.healthStatus,
+              trend: outcome.value.trend,
+              metrics: outcome.value.metrics || {},
+              windowLabel: outcome.value.window?.label,
+              errorMessage: outcome.value.errorMessage
+            };
+          }
+          // The call itself failed, so there is no score to show
+          const error = outcome.reason;
+          return {
+            accountId: account.id,
+            accountName: account.name || account.id,
+            score: null,
+            healthStatus: null,
+            trend: null,
+            metrics: {},
+            failed: true,
+            errorMessage:
+              error?.body?.message ||
+              error?.message ||
+              "Unable to analyze this account."
+          };
+        });
+
+        const failed = this.results.filter((r) => r.errorMessage);
+        if (failed.length) {
+          const message =
+            failed.length +
+            " of " +
+            this.results.length +
+            " accounts could not be fully analyzed.";
+          this.showToast("Warning", message, "warning");
+          this.reportStatus(FAILED, message);
+        } else {
+          this.reportStatus(COMPLETE);
+        }
+      })
+      .finally(() => {
+        if (runId !== this.activeRunId) return;
+        this.activeRunId = null;
+        this.isLoading = false;
+      });
+  }
+
+  get hasResults() {
+    return this.results.length > 0 && !this.isLoading;
+  }
+
+  get showEmptyState() {
+    return !this.isLoading && !this.results.length;
+  }
+
+  get windowLabel() {
+    const withWindow = this.results.find((r) => r.windowLabel);
+    return withWindow ? withWindow.windowLabel : "Last 90 Days";
+  }
+
+  get gaugeCircumference() {
+    return 2 * Math.PI * GAUGE_RADIUS;
+  }
+
+  get columns() {
+    const circumference = this.gaugeCircumference;
+    return this.results.map((result) => ({
+      ...result,
+      isFailed: !!result.failed,
+      isPartial: !result.failed && !!result.errorMessage,
+      scoreColor: this.scoreColor(result.score),
+      dashOffset: circumference * (1 - (result.score || 0) / 100),
+      statusClass:
+        "comparison-status " +
+        (result.healthStatus?.toLowerCase().replace(" ", "-") || "unknown")
+    }));
+  }
+
+  get rows() {
+    // Accounts whose analysis failed have no metrics to compare, so they are
+    // shown as "—" and left out of the best/worst highlighting
+    const compared = this.results.filter((result) => !result.errorMessage);
+    return METRIC_ROWS.map((row) => {
+      const values = compared.map((result) =>
+        Number(result.metrics?.[row.key] || 0)
+      );
+      const best = row.lowerIsBetter ? Math.min(...values) : Math.max(...values);
+      const worst = row.lowerIsBetter
+        ? Math.max(...values)
+        : Math.min(...values);
+      // Nothing to highlight when every account has the same value
+      const hasSpread = best !== worst;
+
+      return {
+        key: row.key,
+        label: row.label,
+        cells: this.results.map((result) => {
+          const key = row.key + "-" + result.accountId;
+          if (result.errorMessage) {
+            return { key, value: "—", cellClass: "metric-cell" };
+          }
+          const value = Number(result.metrics?.[row.key] || 0);
+          let cellClass = "metric-cell";
+          if (hasSpread && value === best) {
+            cellClass += " metric-best";
+          } else if (hasSpread && value === worst) {
+            cellClass += " metric-worst";
+          }
+          return {
+            key,
+            value: row.isCurrency
+              ? formatCurrency(value, result.metrics?.currencyCode)
+              : value,
+            cellClass
+          };
+        })
+      };
+    });
+  }
+
+  scoreColor(score) {
+    if (score >= 80) return "#4bca81"; // Green - Excellent/Good
+    if (score >= 60) return "#ffb75d"; // Yellow - Moderate
+    if (score >= 40) return "#fe9339"; // Orange - At Risk
+    return "#ea001e"; // Red - Critical
+  }
+
+  showToast(title, message, variant) {
+    this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+  }
+}
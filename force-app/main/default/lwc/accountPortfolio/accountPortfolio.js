@@ -0,0 +1,323 @@
+import { LightningElement, api, track } from "lwc";
+import getPortfolio from "@salesforce/apex/AccountPortfolioController.getPortfolio";
+
+const STATUS_ORDER = ["Critical", "At Risk", "Moderate", "Good", "Excellent"];
+const AT_RISK_FILTER = "atRisk";
+const NOT_ANALYZED_FILTER = "notAnalyzed";
+
+const TREND_ICONS = {
+  Improving: "utility:arrowup",
+  Stable: "utility:forward",
+  Declining: "utility:arrowdown"
+};
+
+const COLUMNS = [
+  {
+    label: "Account",
+    fieldName: "accountName",
+    type: "button",
+    sortable: true,
+    typeAttributes: {
+      label: { fieldName: "accountName" },
+      name: "analyze",
+      title: "Analyze this account",
+      variant: "base"
+    }
+  },
+  {
+    label: "Score",
+    fieldName: "score",
+    type: "number",
+    sortable: true,
+    initialWidth: 90,
+    cellAttributes: { alignment: "left" }
+  },
+  {
+    label: "Status",
+    fieldName: "healthStatus",
+    sortable: true,
+    cellAttributes: {
+      class: { fieldName: "statusClass" },
+      iconName: { fieldName: "statusIcon" }
+    }
+  },
+  {
+    label: "Trend",
+    fieldName: "trend",
+    sortable: true,
+    cellAttributes: { iconName: { fieldName: "trendIcon" } }
+  },
+  {
+    label: "High Priority Open Cases",
+    fieldName: "highPriorityOpenCases",
+    type: "number",
+    sortable: true,
+    cellAttributes: { alignment: "left" }
+  },
+  {
+    label: "Closed-Lost ACV",
+    fieldName: "closedLostACV",
+    type: "currency",
+    sortable: true,
+    typeAttributes: {
+      currencyCode: { fieldName: "currencyCode" },
+      maximumFractionDigits: 0
+    },
+    cellAttributes: { alignment: "left" }
+  },
+  {
+    label: "Last Analyzed",
+    fieldName: "lastAnalyzed",
+    type: "date",
+    sortable: true,
+    typeAttributes: { year: "numeric", month: "short", day: "numeric" }
+  },
+  { label: "Owner", fieldName: "ownerName", sortable: true }
+];
+
+// Lists the accounts the user owns or manages so the riskiest ones can be
+// opened first. Fires "accountselect" with { accountId, accountName }.
+export default class AccountPortfolio extends LightningElement {
+  @track rows = [];
+  @track isLoading = false;
+  @track errorMessage = null;
+  @track scope = "mine";
+  @track statusFilter = "all";
+  @track searchTerm = "";
+  @track sortedBy = "score";
+  @track sortedDirection = "asc";
+
+  columns = COLUMNS;
+  _lookbackDays;
+  _startDate;
+  _endDate;
+  connected = false;
+  loadPending = false;
+  // Id of the load in flight; responses to earlier loads are dropped
+  activeLoadId = null;
+  loadSequence = 0;
+
+  scopeOptions = [
+    { label: "My Accounts", value: "mine" },
+    { label: "My Team's Accounts", value: "team" }
+  ];
+
+  statusOptions = [
+    { label: "All Statuses", value: "all" },
+    { label: "At Risk and Critical", value: AT_RISK_FILTER },
+    ...STATUS_ORDER.map((status) => ({ label: status, value: status })),
+    { label: "Not Analyzed", value: NOT_ANALYZED_FILTER }
+  ];
+
+  // Analysis window for closed-lost ACV; reloads the portfolio when changed
+  @api
+  get lookbackDays() {
+    return this._lookbackDays;
+  }
+
+  set lookbackDays(value) {
+    this._lookbackDays = value;
+    this.scheduleLoad();
+  }
+
+  @api
+  get startDate() {
+    return this._startDate;
+  }
+
+  set startDate(value) {
+    this._startDate = value;
+    this.scheduleLoad();
+  }
+
+  @api
+  get endDate() {
+    return this._endDate;
+  }
+
+  set endDate(value) {
+    this._endDate = value;
+    this.scheduleLoad();
+  }
+
+  connectedCallback() {
+    this.connected = true;
+    this.loadPortfolio();
+  }
+
+  disconnectedCallback() {
+    this.connected = false;
+  }
+
+  // Window inputs arrive one at a time; load once they have all been set
+  scheduleLoad() {
+    if (!this.connected || this.loadPending) {
+      return;
+    }
+    this.loadPending = true;
+    Promise.resolve().then(() => {
+      this.loadPending = false;
+      this.loadPortfolio();
+    });
+  }
+
+  loadPortfolio() {
+    // A custom range is only usable once both dates are chosen
+    if (!!this._startDate !== !!this._endDate) {
+      return;
+    }
+
+    this.loadSequence += 1;
+    const loadId = this.loadSequence;
+    this.activeLoadId = loadId;
+    this.isLoading = true;
+    this.errorMessage = null;
+    getPortfolio({
+      scope: this.scope,
+      lookbackDays: this._lookbackDays ? Number(this._lookbackDays) : null,
+      startDate: this._startDate || null,
+      endDate: this._endDate || null
+    })
+      .then((result) => {
+        if (loadId !== this.activeLoadId) return;
+        this.rows = (result || []).map((row) => this.decorateRow(row));
+      })
+      .catch((error) => {
+        if (loadId !== this.activeLoadId) return;
+        this.rows = [];
+        this.errorMessage =
+          error?.body?.message ||
+          error?.message ||
+          "Unable to load your accounts.";
+      })
+      .finally(() => {
+        if (loadId !== this.activeLoadId) return;
+        this.activeLoadId = null;
+        this.isLoading = false;
+      });
+  }
+
+  decorateRow(row) {
+    const isAtRisk =
+      row.healthStatus === "At Risk" || row.healthStatus === "Critical";
+    const isHealthy =
+      row.healthStatus === "Good" || row.healthStatus === "Excellent";
+    let statusClass = "";
+    if (isAtRisk) {
+      statusClass = "slds-text-color_error";
+    } else if (isHealthy) {
+      statusClass = "slds-text-color_success";
+    }
+    return {
+      ...row,
+      healthStatus: row.healthStatus || "Not analyzed",
+      statusClass,
+      statusIcon: isAtRisk ? "utility:warning" : null,
+      trendIcon: TREND_ICONS[row.trend] || null,
+      isAtRisk
+    };
+  }
+
+  handleRefresh() {
+    this.loadPortfolio();
+  }
+
+  handleScopeChange(event) {
+    this.scope = event.detail.value;
+    this.loadPortfolio();
+  }
+
+  handleStatusFilterChange(event) {
+    this.statusFilter = event.detail.value;
+  }
+
+  handleSearchChange(event) {
+    this.searchTerm = event.detail.value || "";
+  }
+
+  handleSort(event) {
+    this.sortedBy = event.detail.fieldName;
+    this.sortedDirection = event.detail.sortDirection;
+  }
+
+  handleRowAction(event) {
+    const row = event.detail.row;
+    this.dispatchEvent(
+      new CustomEvent("accountselect", {
+        detail: { accountId: row.accountId, accountName: row.accountName }
+      })
+    );
+  }
+
+  get filteredRows() {
+    const term = this.searchTerm.trim().toLowerCase();
+    return this.rows.filter((row) => {
+      if (term && !row.accountName?.toLowerCase().includes(term)) {
+        return false;
+      }
+      if (this.statusFilter === AT_RISK_FILTER) {
+        return row.isAtRisk;
+      }
+      if (this.statusFilter === NOT_ANALYZED_FILTER) {
+        return row.score === null || row.score === undefined;
+      }
+      if (this.statusFilter !== "all") {
+        return row.healthStatus === this.statusFilter;
+      }
+      return true;
+    });
+  }
+
+  // Never-analyzed accounts stay at the bottom in either direction
+  get visibleRows() {
+    const field = this.sortedBy;
+    const direction = this.sortedDirection === "desc" ? -1 : 1;
+    const sortValue = (row) =>
+      field === "healthStatus"
+        ? STATUS_ORDER.indexOf(row.healthStatus)
+        : row[field];
+
+    return [...this.filteredRows].sort((a, b) => {
+      const left = sortValue(a);
+      const right = sortValue(b);
+      const leftMissing = left === null || left === undefined || left === -1;
+      const rightMissing =
+        right === null || right === undefined || right === -1;
+      if (leftMissing || rightMissing) {
+        return leftMissing === rightMissing ? 0 : leftMissing ? 1 : -1;
+      }
+      if (typeof left === "string") {
+        return left.localeCompare(right) * direction;
+      }
+      return (left > right ? 1 : left < right ? -1 : 0) * direction;
+    });
+  }
+
+  get hasRows() {
+    return !this.isLoading && this.filteredRows.length > 0;
+  }
+
+  get showNoMatches() {
+    return (
+      !this.isLoading &&
+      this.rows.length > 0 &&
+      this.filteredRows.length === 0
+    );
+  }
+
+  get showEmptyPortfolio() {
+    return !this.isLoading && !this.errorMessage && this.rows.length === 0;
+  }
+
+  get summaryText() {
+    const atRisk = this.rows.filter((row) => row.isAtRisk).length;
+    return (
+      this.filteredRows.length +
+      " of " +
+      this.rows.length +
+      " accounts shown · " +
+      atRisk +
+      " At Risk or Critical"
+    );
+  }
+}
@@ -1,20 +1,96 @@
-import { LightningElement, api, track } from "lwc";
+import { LightningElement, api, track, wire } from "lwc";
+import {
+  getRecord,
+  getFieldValue,
+  notifyRecordUpdateAvailable
+} from "lightning/uiRecordApi";
+import HEALTH_SCORE_FIELD from "@salesforce/schema/Account.Health_Score__c";
+import HEALTH_STATUS_FIELD from "@salesforce/schema/Account.Health_Status__c";
+import HEALTH_TREND_FIELD from "@salesforce/schema/Account.Health_Trend__c";
+import HEALTH_LAST_ANALYZED_FIELD from "@salesforce/schema/Account.Health_Last_Analyzed__c";
 import getRelationshipHealth from "@salesforce/apex/AccountRelationshipHealthController.getRelationshipHealth";
+import getHierarchyHealth from "@salesforce/apex/AccountRelationshipHealthController.getHierarchyHealth";
+import getActionTasks from "@salesforce/apex/AccountHealthActionController.getActionTasks";
+import createTasks from "@salesforce/apex/AccountHealthActionController.createTasks";
+import compareExecutives from "@salesforce/apex/AccountRelationshipHealthController.compareExecutives";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import AGENTFORCE_ICON from "@salesforce/resourceUrl/AgentforceIcon";
+import {
+  CANCELLED,
+  COMPLETE,
+  FAILED,
+  HEALTH_PANEL,
+  RUNNING,
+  afterPropertiesSet,
+  statusEvent
+} from "c/accountAnalysisStatus";
+import {
+  formatCurrency,
+  formatDate,
+  formatNumber
+} from "c/accountAnalysisFormat";
+
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 36;
+const SPARKLINE_PADDING = 4;
+
+// Latest result written back to the Account by AccountHealthSnapshotService
+const STORED_HEALTH_FIELDS = [
+  HEALTH_SCORE_FIELD,
+  HEALTH_STATUS_FIELD,
+  HEALTH_TREND_FIELD,
+  HEALTH_LAST_ANALYZED_FIELD
+];
+
+const TASK_PRIORITY_OPTIONS = [
+  { label: "High", value: "High" },
+  { label: "Normal", value: "Normal" },
+  { label: "Low", value: "Low" }
+];
 
 export default class AccountRelationshipHealth extends LightningElement {
   @api recordId;
+  // Analysis window; a custom startDate/endDate range wins over lookbackDays
+  @api lookbackDays;
+  @api startDate;
+  @api endDate;
   _accountId = null; // Private backing property
   @track healthData;
   @track metrics;
   @track isLoading = false;
   @track hasError = false;
   @track errorMessage = "";
+  @track showBreakdown = false;
+  @track showSentimentDetail = false;
+  @track showStakeholderDetail = false;
+  // Hierarchy mode: roll subsidiaries up into the analysis
+  @track includeSubsidiaries = false;
+  @track showHierarchyDetail = true;
+  // Task suggestions for the recommended actions, keyed by actionKey
+  @track actionTasks = {};
+  @track editingActionKeys = [];
+  @track isCreatingTasks = false;
+  taskPriorityOptions = TASK_PRIORITY_OPTIONS;
+  storedHealthRecord;
+
+  @wire(getRecord, {
+    recordId: "$currentAccountId",
+    optionalFields: STORED_HEALTH_FIELDS
+  })
+  wiredStoredHealth({ data, error }) {
+    if (data) {
+      this.storedHealthRecord = data;
+    } else if (error) {
+      this.storedHealthRecord = undefined;
+    }
+  }
   agentforceIcon = AGENTFORCE_ICON;
   _analysisTrigger = null;
+  _research = null;
   previousTrigger = null;
-  previousAccountId = null;
+  // Id of the run in flight; responses from any other run are dropped
+  activeRunId = null;
+  runSequence = 0;
 
   connectedCallback() {
     // Optionally load on initial page load
@@ -26,21 +102,26 @@ export default class AccountRelationshipHealth extends LightningElement {
     return this._accountId;
   }
 
+  // Runs are started by analysisTrigger; a new account only drops the
+  // results of the previous one
   set accountId(value) {
-    // Track previous value to detect changes
-    const oldValue = this._accountId;
-    this._accountId = value;
-    
-    // If accountId changed and we have a valid ID, trigger analysis
-    if (value && value !== oldValue && value !== this.previousAccountId) {
-      this.previousAccountId = value;
-      // Use setTimeout to ensure property is fully set
-      setTimeout(() => {
-        if (this.currentAccountId === value) {
-          this.handleRefresh();
-        }
-      }, 100);
+    if (value !== this._accountId) {
+      this.dropActiveRun();
+      this.includeSubsidiaries = false;
     }
+    this._accountId = value;
+  }
+
+  // Company research from the app; its key executives are compared with the
+  // account's contacts when it arrives after the analysis
+  @api
+  get research() {
+    return this._research;
+  }
+
+  set research(value) {
+    this._research = value;
+    this.refreshExecutiveCoverage();
   }
 
   @api
@@ -49,14 +130,39 @@ export default class AccountRelationshipHealth extends LightningElement {
   }
 
   set analysisTrigger(value) {
-    if (value && value !== this.previousTrigger && this.currentAccountId) {
+    this._analysisTrigger = value;
+    if (value && value !== this.previousTrigger) {
       this.previousTrigger = value;
-      // Use setTimeout to ensure this runs after the property is set
-      setTimeout(() => {
-        this.handleRefresh();
-      }, 0);
+      afterPropertiesSet(() => {
+        if (this.currentAccountId && this._analysisTrigger === value) {
+          this.handleRefresh();
+        }
+      });
     }
-    this._analysisTrigger = value;
+  }
+
+  // Drops the run in flight; its response is ignored when it arrives
+  @api
+  cancel() {
+    if (this.dropActiveRun()) {
+      this.reportStatus(CANCELLED);
+    }
+  }
+
+  // Returns true when there was a run to drop
+  dropActiveRun() {
+    if (!this.activeRunId) {
+      return false;
+    }
+    this.activeRunId = null;
+    this.isLoading = false;
+    return true;
+  }
+
+  reportStatus(status, message) {
+    this.dispatchEvent(
+      statusEvent(HEALTH_PANEL, this._analysisTrigger, status, message)
+    );
   }
 
   get currentAccountId() {
@@ -73,42 +179,253 @@ export default class AccountRelationshipHealth extends LightningElement {
       this.hasError = true;
       this.errorMessage = "No account ID provided.";
       this.isLoading = false;
+      this.reportStatus(FAILED, this.errorMessage);
       return;
     }
 
-    getRelationshipHealth({ accountId: accountIdToUse })
+    this.runSequence += 1;
+    const runId = this.runSequence;
+    this.activeRunId = runId;
+    this.reportStatus(RUNNING, "Gathering activity and scoring the account");
+
+    const loadHealth = this.includeSubsidiaries
+      ? getHierarchyHealth
+      : getRelationshipHealth;
+    loadHealth({
+      accountId: accountIdToUse,
+      lookbackDays: this.lookbackDays ? Number(this.lookbackDays) : null,
+      startDate: this.startDate || null,
+      endDate: this.endDate || null
+    })
       .then((result) => {
+        if (runId !== this.activeRunId) return;
         this.healthData = {
           healthStatus: result.healthStatus,
           score: result.score,
           trend: result.trend,
           keyInsights: result.keyInsights || [],
-          recommendedActions: result.recommendedActions || []
+          recommendedActions: result.recommendedActions || [],
+          scoreHistory: result.scoreHistory || [],
+          window: result.window,
+          scoreBreakdown: result.scoreBreakdown,
+          scoreSource: result.scoreSource,
+          trendFromHistory: result.trendFromHistory,
+          emailSentiment: result.emailSentiment,
+          stakeholderMap: result.stakeholderMap,
+          redaction: result.redaction,
+          hierarchy: result.hierarchy,
+          hasSubsidiaries: result.hasSubsidiaries
         };
         this.metrics = result.metrics;
+        this.refreshExecutiveCoverage();
+        this.loadActionTasks(accountIdToUse, result);
+        // The analysis updated the stored health fields on the Account; this
+        // also refreshes the score shown in the app's recent accounts
+        notifyRecordUpdateAvailable([{ recordId: accountIdToUse }]);
+
+        // Lets the app include this analysis in exports
+        this.dispatchEvent(
+          new CustomEvent("healthloaded", { detail: { analysis: result } })
+        );
 
         if (result.errorMessage) {
           this.hasError = true;
           this.errorMessage = result.errorMessage;
           this.showToast("Warning", result.errorMessage, "warning");
+          this.reportStatus(FAILED, result.errorMessage);
+        } else {
+          this.reportStatus(COMPLETE);
         }
       })
       .catch((error) => {
+        if (runId !== this.activeRunId) return;
+        const message = error.body?.message || error.message;
         this.hasError = true;
         this.errorMessage = "Unable to load relationship health data.";
         console.error("Error loading health data:", error);
         this.showToast(
           "Error",
-          "Failed to load relationship health: " +
-            (error.body?.message || error.message),
+          "Failed to load relationship health: " + message,
           "error"
         );
+        this.reportStatus(FAILED, message);
       })
       .finally(() => {
+        if (runId !== this.activeRunId) return;
+        this.activeRunId = null;
         this.isLoading = false;
       });
   }
 
+  // Recommended actions -> Tasks
+  loadActionTasks(accountId, result) {
+    this.actionTasks = {};
+    this.editingActionKeys = [];
+    const actions = result.recommendedActions || [];
+    if (!actions.length || result.errorMessage) {
+      return;
+    }
+
+    getActionTasks({
+      accountId,
+      actions,
+      healthStatus: result.healthStatus
+    })
+      .then((suggestions) => {
+        // Ignore suggestions for an account that is no longer shown
+        if (accountId !== this.currentAccountId) return;
+        const byText = {};
+        suggestions.forEach((suggestion) => {
+          byText[suggestion.actionText] = { ...suggestion };
+        });
+        this.actionTasks = byText;
+      })
+      .catch((error) => {
+        console.error("Error loading action tasks:", error);
+      });
+  }
+
+  get actionItems() {
+    const actions = this.healthData?.recommendedActions || [];
+    return actions.map((action, index) => {
+      const draft = this.actionTasks[action];
+      const isEditing =
+        !!draft && this.editingActionKeys.includes(draft.actionKey);
+      return {
+        key: draft?.actionKey || "action-" + index,
+        text: action,
+        draft,
+        hasTask: !!draft?.taskId,
+        taskUrl: draft?.taskId
+          ? "/lightning/r/Task/" + draft.taskId + "/view"
+          : null,
+        canCreate: !!draft && !draft.taskId && !isEditing,
+        isEditing
+      };
+    });
+  }
+
+  get pendingActionCount() {
+    return Object.values(this.actionTasks).filter((draft) => !draft.taskId)
+      .length;
+  }
+
+  get showCreateAllTasks() {
+    return this.pendingActionCount > 1 && !this.editingActionKeys.length;
+  }
+
+  get isBulkEditing() {
+    return this.editingActionKeys.length > 1;
+  }
+
+  get createEditedTasksLabel() {
+    return "Create " + this.editingActionKeys.length + " Tasks";
+  }
+
+  findDraftByKey(actionKey) {
+    return Object.values(this.actionTasks).find(
+      (draft) => draft.actionKey === actionKey
+    );
+  }
+
+  handleCreateTaskClick(event) {
+    const actionKey = event.currentTarget.dataset.key;
+    if (!this.editingActionKeys.includes(actionKey)) {
+      this.editingActionKeys = [...this.editingActionKeys, actionKey];
+    }
+  }
+
+  handleCreateAllTasksClick() {
+    this.editingActionKeys = Object.values(this.actionTasks)
+      .filter((draft) => !draft.taskId)
+      .map((draft) => draft.actionKey);
+  }
+
+  handleCancelTaskEdit(event) {
+    const actionKey = event.currentTarget.dataset.key;
+    this.editingActionKeys = this.editingActionKeys.filter(
+      (key) => key !== actionKey
+    );
+  }
+
+  handleCancelAllTaskEdits() {
+    this.editingActionKeys = [];
+  }
+
+  handleTaskFieldChange(event) {
+    const draft = this.findDraftByKey(event.target.dataset.key);
+    if (!draft) return;
+    const field = event.target.dataset.field;
+    // lightning-record-picker reports the selected record as recordId
+    const value =
+      field === "ownerId" ? event.detail.recordId : event.detail.value;
+    this.actionTasks = {
+      ...this.actionTasks,
+      [draft.actionText]: { ...draft, [field]: value, errorMessage: null }
+    };
+  }
+
+  handleSaveTask(event) {
+    this.saveTasks([event.currentTarget.dataset.key]);
+  }
+
+  handleSaveAllTasks() {
+    this.saveTasks([...this.editingActionKeys]);
+  }
+
+  saveTasks(actionKeys) {
+    const drafts = actionKeys
+      .map((key) => this.findDraftByKey(key))
+      .filter((draft) => !!draft);
+    if (!drafts.length) return;
+
+    this.isCreatingTasks = true;
+    createTasks({ accountId: this.currentAccountId, drafts })
+      .then((results) => {
+        const updated = { ...this.actionTasks };
+        let createdCount = 0;
+        const failures = [];
+        results.forEach((result) => {
+          updated[result.actionText] = { ...result };
+          if (result.taskId) {
+            createdCount++;
+          } else if (result.errorMessage) {
+            failures.push(result.errorMessage);
+          }
+        });
+        this.actionTasks = updated;
+        // Keep failed drafts open so they can be fixed and saved again
+        this.editingActionKeys = this.editingActionKeys.filter(
+          (key) => !this.findDraftByKey(key)?.taskId
+        );
+
+        if (createdCount) {
+          this.showToast(
+            "Success",
+            createdCount === 1 ? "Task created." : createdCount + " Tasks created.",
+            "success"
+          );
+        }
+        if (failures.length) {
+          this.showToast(
+            "Error",
+            failures.length + " Task(s) could not be created: " + failures[0],
+            "error"
+          );
+        }
+      })
+      .catch((error) => {
+        this.showToast(
+          "Error",
+          "Failed to create Tasks: " + (error.body?.message || error.message),
+          "error"
+        );
+      })
+      .finally(() => {
+        this.isCreatingTasks = false;
+      });
+  }
+
   showToast(title, message, variant) {
     const event = new ShowToastEvent({
       title: title,
@@ -180,10 +497,43 @@ export default class AccountRelationshipHealth extends LightningElement {
     return !this.isLoading && !this.hasData && !this.hasError;
   }
 
+  // Last stored result, shown until a new analysis is run
+  get storedHealth() {
+    const record = this.storedHealthRecord;
+    if (!record || record.id !== this.currentAccountId) return null;
+    const score = getFieldValue(record, HEALTH_SCORE_FIELD);
+    if (score === null || score === undefined) return null;
+    return {
+      score,
+      healthStatus: getFieldValue(record, HEALTH_STATUS_FIELD) || "Unknown",
+      trend: getFieldValue(record, HEALTH_TREND_FIELD),
+      lastAnalyzed: getFieldValue(record, HEALTH_LAST_ANALYZED_FIELD)
+    };
+  }
+
+  get hasStoredHealth() {
+    return !!this.storedHealth;
+  }
+
+  get storedScoreStyle() {
+    return "border-color: " + this.colorForScore(this.storedHealth?.score);
+  }
+
+  get storedStatusClass() {
+    const status = this.storedHealth?.healthStatus
+      ?.toLowerCase()
+      .replace(" ", "-");
+    return "stored-status " + (status || "unknown");
+  }
+
   // Circular progress gauge calculations
   get scoreColor() {
     if (!this.healthData) return "#dddbda";
-    const score = this.healthData.score;
+    return this.colorForScore(this.healthData.score);
+  }
+
+  colorForScore(score) {
+    if (score === null || score === undefined) return "#dddbda";
     if (score >= 80) return "#4bca81"; // Green - Excellent/Good
     if (score >= 60) return "#ffb75d"; // Yellow - Moderate
     if (score >= 40) return "#fe9339"; // Orange - At Risk
@@ -203,24 +553,495 @@ export default class AccountRelationshipHealth extends LightningElement {
     return circumference * (1 - progress);
   }
 
-  // Format ACV values to K or M notation
+  // Rule-based score breakdown
+  get hasBreakdown() {
+    return !!this.healthData?.scoreBreakdown?.components?.length;
+  }
+
+  get isRuleBasedScore() {
+    return this.healthData?.scoreSource === "Rules";
+  }
+
+  get breakdownToggleLabel() {
+    return this.showBreakdown ? "Hide score breakdown" : "Show score breakdown";
+  }
+
+  get breakdownToggleIcon() {
+    return this.showBreakdown ? "utility:chevrondown" : "utility:chevronright";
+  }
+
+  get breakdownComponents() {
+    const components = this.healthData?.scoreBreakdown?.components || [];
+    return components.map((component) => ({
+      ...component,
+      barStyle: "width: " + component.subScore + "%",
+      weightLabel: component.weight + "% weight",
+      contributionLabel: "+" + component.contribution + " pts",
+      details: (component.details || []).map((text, index) => ({
+        key: component.name + "-" + index,
+        text
+      }))
+    }));
+  }
+
+  toggleBreakdown() {
+    this.showBreakdown = !this.showBreakdown;
+  }
+
+  // Email sentiment drill-down
+  get hasEmailSentiment() {
+    const sentiment = this.healthData?.emailSentiment;
+    return !!(
+      sentiment &&
+      (sentiment.emails?.length ||
+        sentiment.topThemes?.length ||
+        sentiment.criticalFindings?.length ||
+        sentiment.representativeQuotes?.length)
+    );
+  }
+
+  get sentimentToggleLabel() {
+    return this.showSentimentDetail
+      ? "Hide email sentiment"
+      : "Why? Show email sentiment";
+  }
+
+  get sentimentToggleIcon() {
+    return this.showSentimentDetail
+      ? "utility:chevrondown"
+      : "utility:chevronright";
+  }
+
+  toggleSentimentDetail() {
+    this.showSentimentDetail = !this.showSentimentDetail;
+  }
+
+  get sentimentSummary() {
+    const sentiment = this.healthData?.emailSentiment || {};
+    const parts = [];
+    if (sentiment.overallSentiment) {
+      parts.push(sentiment.overallSentiment);
+    }
+    if (sentiment.sentimentTrajectory) {
+      parts.push(sentiment.sentimentTrajectory);
+    }
+    const confidence = sentiment.confidenceLevel;
+    if (confidence !== null && confidence !== undefined) {
+      parts.push(Math.round(confidence * 100) + "% confidence");
+    }
+    return parts.join(" · ");
+  }
+
+  // One row per email, oldest first. The bar grows left of the centre line
+  // for negative scores and right of it for positive ones.
+  get sentimentTimeline() {
+    const emails = this.healthData?.emailSentiment?.emails || [];
+    return emails.map((email, index) => {
+      const score = Math.max(
+        -1,
+        Math.min(1, Number(email.sentimentScore) || 0)
+      );
+      const width = Math.abs(score) * 50;
+      const left = score < 0 ? 50 - width : 50;
+      return {
+        ...email,
+        key: (email.emailId || "email") + "-" + index,
+        subject: email.subject || "Email " + email.emailNumber,
+        url: this.emailUrl(email.emailId),
+        scoreLabel: (score > 0 ? "+" : "") + formatNumber(score, 2),
+        barStyle: "left: " + left + "%; width: " + width + "%",
+        barClass:
+          "sentiment-bar-fill " +
+          (score > 0.2 ? "positive" : score < -0.2 ? "negative" : "neutral"),
+        urgencyClass:
+          "urgency-badge " + (email.urgency || "unknown").toLowerCase(),
+        themesLabel: (email.keyThemes || []).join(", ")
+      };
+    });
+  }
+
+  get sentimentThemes() {
+    const themes = this.healthData?.emailSentiment?.topThemes || [];
+    return themes.map((theme, index) => ({
+      ...theme,
+      key: theme.theme + "-" + index,
+      sentimentClass:
+        "sentiment-pill " + (theme.sentiment || "neutral").toLowerCase(),
+      frequencyLabel: theme.frequency ? "×" + theme.frequency : ""
+    }));
+  }
+
+  get criticalFindings() {
+    const findings = this.healthData?.emailSentiment?.criticalFindings || [];
+    return findings.map((text, index) => ({ key: "finding-" + index, text }));
+  }
+
+  get hasCriticalFindings() {
+    return this.criticalFindings.length > 0;
+  }
+
+  get sentimentDynamics() {
+    return this.healthData?.emailSentiment?.relationshipDynamics;
+  }
+
+  get concernPatternsLabel() {
+    return (this.sentimentDynamics?.concernPatterns || []).join(", ");
+  }
+
+  get sentimentQuotes() {
+    const quotes =
+      this.healthData?.emailSentiment?.representativeQuotes || [];
+    return quotes.map((quote, index) => ({
+      ...quote,
+      key: "quote-" + index,
+      url: this.emailUrl(quote.emailId)
+    }));
+  }
+
+  // Privacy: what was withheld or masked before the analysis was sent
+  get privacyNote() {
+    const redaction = this.healthData?.redaction;
+    const hierarchy = this.healthData?.hierarchy;
+    const notes = [];
+    if (
+      redaction?.emailsWithheld &&
+      hierarchy &&
+      redaction.withheldAccountCount < hierarchy.accountCount
+    ) {
+      notes.push(
+        "Email content from " +
+          redaction.withheldAccountCount +
+          " opted-out account(s) is not sent to AI."
+      );
+    } else if (redaction?.emailsWithheld) {
+      return "Email content is not sent to AI for this account (privacy opt-out), so sentiment is based on activity only.";
+    }
+    if (redaction?.totalCount) {
+      notes.push(
+        "Personal data was masked before AI analysis: " + redaction.summary + "."
+      );
+    }
+    return notes.length ? notes.join(" ") : null;
+  }
+
+  // Hierarchy mode
+  get showHierarchyToggle() {
+    return !!this.healthData?.hasSubsidiaries || this.includeSubsidiaries;
+  }
+
+  handleHierarchyToggle(event) {
+    this.includeSubsidiaries = event.target.checked;
+    this.handleRefresh();
+  }
+
+  get hierarchy() {
+    return this.healthData?.hierarchy;
+  }
+
+  get hasHierarchy() {
+    return !!this.hierarchy?.subsidiaries?.length;
+  }
+
+  get hierarchyToggleLabel() {
+    return this.showHierarchyDetail ? "Hide subsidiaries" : "Subsidiaries";
+  }
+
+  get hierarchyToggleIcon() {
+    return this.showHierarchyDetail
+      ? "utility:chevrondown"
+      : "utility:chevronright";
+  }
+
+  toggleHierarchyDetail() {
+    this.showHierarchyDetail = !this.showHierarchyDetail;
+  }
+
+  get hierarchySummary() {
+    const hierarchy = this.hierarchy || {};
+    return (
+      hierarchy.accountCount +
+      " accounts rolled up" +
+      (hierarchy.truncated ? " (hierarchy truncated)" : "")
+    );
+  }
+
+  get hierarchyRows() {
+    const subsidiaries = this.hierarchy?.subsidiaries || [];
+    return subsidiaries.map((subsidiary) => {
+      let rowClass = "hierarchy-row";
+      if (subsidiary.isLowest) {
+        rowClass += " lowest";
+      } else if (subsidiary.noActivity) {
+        rowClass += " idle";
+      }
+      const status = (subsidiary.healthStatus || "unknown")
+        .toLowerCase()
+        .replace(" ", "-");
+      return {
+        ...subsidiary,
+        key: subsidiary.accountId,
+        url: "/lightning/r/Account/" + subsidiary.accountId + "/view",
+        displayName: subsidiary.isParent
+          ? subsidiary.name + " (own records)"
+          : subsidiary.name,
+        meta: subsidiary.isParent
+          ? "Parent account"
+          : "Level " + subsidiary.level + " · under " + subsidiary.parentName,
+        rowClass,
+        scoreLabel: subsidiary.noActivity ? "—" : subsidiary.score,
+        statusClass: "hierarchy-status " + status,
+        statusLabel: subsidiary.noActivity
+          ? "No activity"
+          : subsidiary.healthStatus,
+        wonLabel: formatCurrency(
+          subsidiary.closedWonACV,
+          subsidiary.currencyCode
+        ),
+        lostLabel: formatCurrency(
+          subsidiary.closedLostACV,
+          subsidiary.currencyCode
+        ),
+        hasSentiment: !!subsidiary.sentiment,
+        sentimentClass:
+          "sentiment-pill " + (subsidiary.sentiment || "").toLowerCase(),
+        sentimentTitle: subsidiary.sentiment
+          ? "Average score " + subsidiary.sentimentScore
+          : ""
+      };
+    });
+  }
+
+  // Stakeholder map
+  get stakeholderMap() {
+    return this.healthData?.stakeholderMap;
+  }
+
+  get hasStakeholders() {
+    return !!this.stakeholderMap?.stakeholders?.length;
+  }
+
+  get stakeholderToggleLabel() {
+    return this.showStakeholderDetail ? "Hide stakeholders" : "Stakeholders";
+  }
+
+  get stakeholderToggleIcon() {
+    return this.showStakeholderDetail
+      ? "utility:chevrondown"
+      : "utility:chevronright";
+  }
+
+  toggleStakeholderDetail() {
+    this.showStakeholderDetail = !this.showStakeholderDetail;
+  }
+
+  get stakeholderSummary() {
+    const map = this.stakeholderMap || {};
+    return (
+      map.engagedContactCount +
+      " of " +
+      (map.stakeholders || []).length +
+      " contacts engaged"
+    );
+  }
+
+  get stakeholderFlags() {
+    const flags = this.stakeholderMap?.flags || [];
+    return flags.map((text, index) => ({ key: "flag-" + index, text }));
+  }
+
+  get hasStakeholderFlags() {
+    return this.stakeholderFlags.length > 0;
+  }
+
+  get stakeholderRows() {
+    const people = this.stakeholderMap?.stakeholders || [];
+    return people.map((person) => {
+      const sentiment = person.sentiment;
+      const touchCount =
+        person.emailCount +
+        person.meetingCount +
+        person.callCount +
+        person.otherTaskCount;
+      let lastTouchLabel = "No touches";
+      if (person.daysSinceLastTouch === 0) {
+        lastTouchLabel = "Today";
+      } else if (person.lastTouch) {
+        lastTouchLabel = person.daysSinceLastTouch + "d ago";
+      } else if (
+        person.daysSinceLastActivity !== null &&
+        person.daysSinceLastActivity !== undefined
+      ) {
+        lastTouchLabel =
+          "None in window (" + person.daysSinceLastActivity + "d ago)";
+      }
+      let rowClass = "stakeholder-row";
+      if (person.isQuiet) {
+        rowClass += " quiet";
+      } else if (!touchCount) {
+        rowClass += " idle";
+      }
+      return {
+        ...person,
+        key: person.contactId,
+        url: "/lightning/r/Contact/" + person.contactId + "/view",
+        lastTouchLabel,
+        quietLabel: person.noTouchInWindow ? "No touch in window" : "Quiet",
+        rowClass,
+        hasSentiment: !!sentiment,
+        sentimentClass: "sentiment-pill " + (sentiment || "").toLowerCase(),
+        sentimentTitle:
+          sentiment && person.sentimentScore !== null
+            ? "Average score " + person.sentimentScore
+            : ""
+      };
+    });
+  }
+
+  get executiveCoverage() {
+    const executives = this.stakeholderMap?.executives || [];
+    return executives.map((executive, index) => {
+      let status = "Not in Salesforce";
+      let statusClass = "coverage-badge missing";
+      if (executive.contactId && executive.engaged) {
+        status = "Engaged";
+        statusClass = "coverage-badge engaged";
+      } else if (executive.contactId) {
+        status = "Contact, not engaged";
+        statusClass = "coverage-badge idle";
+      }
+      return {
+        ...executive,
+        key: "executive-" + index,
+        url: executive.contactId
+          ? "/lightning/r/Contact/" + executive.contactId + "/view"
+          : null,
+        status,
+        statusClass
+      };
+    });
+  }
+
+  get hasExecutiveCoverage() {
+    return this.executiveCoverage.length > 0;
+  }
+
+  // Re-matches the research executives when research arrives after the
+  // analysis or names different executives than the stored research did
+  refreshExecutiveCoverage() {
+    const map = this.healthData?.stakeholderMap;
+    const keyExecutives = this._research?.facts?.keyExecutives;
+    if (!map || !keyExecutives || keyExecutives === map.researchExecutives) {
+      return;
+    }
+
+    const accountId = this.currentAccountId;
+    compareExecutives({
+      stakeholderMapJson: JSON.stringify(map),
+      keyExecutives
+    })
+      .then((result) => {
+        // Ignore results for an account that is no longer shown
+        if (accountId !== this.currentAccountId || !this.healthData) return;
+        this.healthData = { ...this.healthData, stakeholderMap: result };
+      })
+      .catch((error) => {
+        console.error("Error comparing executives:", error);
+      });
+  }
+
+  emailUrl(emailId) {
+    return emailId ? "/lightning/r/EmailMessage/" + emailId + "/view" : null;
+  }
+
+  get windowLabel() {
+    return this.healthData?.window?.label || "Last 90 Days";
+  }
+
+  // Score history sparkline (oldest run on the left, current run on the right)
+  get hasScoreHistory() {
+    return this.healthData?.scoreHistory?.length > 1;
+  }
+
+  get sparklineCoordinates() {
+    const history = this.healthData?.scoreHistory || [];
+    const stepX =
+      history.length > 1
+        ? (SPARKLINE_WIDTH - 2 * SPARKLINE_PADDING) / (history.length - 1)
+        : 0;
+    const usableHeight = SPARKLINE_HEIGHT - 2 * SPARKLINE_PADDING;
+    return history.map((point, index) => ({
+      x: SPARKLINE_PADDING + index * stepX,
+      y: SPARKLINE_PADDING + usableHeight * (1 - (point.score || 0) / 100),
+      point
+    }));
+  }
+
+  get sparklinePoints() {
+    return this.sparklineCoordinates.map((c) => c.x + "," + c.y).join(" ");
+  }
+
+  get sparklineDots() {
+    const coordinates = this.sparklineCoordinates;
+    return coordinates.map((c, index) => ({
+      key: "point-" + index,
+      cx: c.x,
+      cy: c.y,
+      r: index === coordinates.length - 1 ? 3.5 : 2,
+      title:
+        c.point.score +
+        (c.point.analyzedAt
+          ? " on " + formatDate(c.point.analyzedAt)
+          : "")
+    }));
+  }
+
+  get sparklineLabel() {
+    const history = this.healthData?.scoreHistory || [];
+    if (history.length < 2) return "";
+    const change = history[history.length - 1].score - history[0].score;
+    const sign = change > 0 ? "+" : "";
+    return (
+      sign + change + " pts over " + (history.length - 1) + " previous runs"
+    );
+  }
+
+  get trendSourceText() {
+    return this.healthData?.trendFromHistory
+      ? "Based on stored score history"
+      : "Agentforce estimate (no score history yet)";
+  }
+
+  // ACV totals in the currency Apex converted them to, in compact notation
   get closedWonACVFormatted() {
-    if (!this.metrics || !this.metrics.closedWonACV) return "$0";
-    return this.formatCurrency(this.metrics.closedWonACV);
+    return this.formatCurrency(this.metrics?.closedWonACV);
   }
 
   get closedLostACVFormatted() {
-    if (!this.metrics || !this.metrics.closedLostACV) return "$0";
-    return this.formatCurrency(this.metrics.closedLostACV);
+    return this.formatCurrency(this.metrics?.closedLostACV);
+  }
+
+  // Admin-defined metrics from Account Health Metric Source, after the
+  // built-in tiles
+  get customMetricTiles() {
+    return (this.metrics?.customMetrics || []).map((metric) => ({
+      key: metric.name,
+      label: metric.label,
+      iconName: metric.iconName,
+      value:
+        metric.format === "Currency" && metric.value != null
+          ? this.formatCurrency(metric.value)
+          : metric.displayValue,
+      title: metric.errorMessage
+        ? "Could not be gathered: " + metric.errorMessage
+        : metric.description || metric.label,
+      cardClass: metric.errorMessage
+        ? "metric-card metric-card-unavailable"
+        : "metric-card"
+    }));
   }
 
   formatCurrency(value) {
-    if (value >= 1000000) {
-      return "$" + (value / 1000000).toFixed(1) + "M";
-    } else if (value >= 1000) {
-      return "$" + (value / 1000).toFixed(1) + "K";
-    }
-    return "$" + value.toFixed(0);
+    return formatCurrency(value, this.metrics?.currencyCode);
   }
 
   // Case tooltip details
@@ -1,8 +1,22 @@
-import { LightningElement, api, track } from "lwc";
+import { LightningElement, api, track, wire } from "lwc";
 import getCompanyResearch from "@salesforce/apex/AccountCompanyResearchController.getCompanyResearch";
 import saveCompanyResearch from "@salesforce/apex/AccountCompanyResearchController.saveCompanyResearch";
+import getResearchVersions from "@salesforce/apex/AccountCompanyResearchController.getResearchVersions";
+import getSlackChannels from "@salesforce/apex/AccountResearchSlackController.getSlackChannels";
+import previewSlackMessage from "@salesforce/apex/AccountResearchSlackController.previewSlackMessage";
+import postToSlack from "@salesforce/apex/AccountResearchSlackController.postToSlack";
 import { ShowToastEvent } from "lightning/platformShowToastEvent";
 import AGENTFORCE_ICON from "@salesforce/resourceUrl/AgentforceRGBIcon";
+import {
+  CANCELLED,
+  COMPLETE,
+  FAILED,
+  RESEARCH_PANEL,
+  RUNNING,
+  afterPropertiesSet,
+  statusEvent
+} from "c/accountAnalysisStatus";
+import { formatDate, formatDateTime } from "c/accountAnalysisFormat";
 
 export default class AccountResearch extends LightningElement {
   @api recordId;
@@ -28,7 +42,31 @@ export default class AccountResearch extends LightningElement {
   loadingMessageIndex = 0;
   _analysisTrigger = null;
   previousTrigger = null;
-  previousAccountId = null;
+  // Id of the run in flight; responses from any other run are dropped
+  activeRunId = null;
+  runSequence = 0;
+
+  // Saved research versions, compared with the current run
+  @track versions = [];
+  @track selectedVersionId = null;
+
+  // Slack share
+  slackChannels = [];
+  @track showSlackShare = false;
+  @track slackChannel = null;
+  @track slackPreviewBlocks = [];
+  @track isLoadingSlackPreview = false;
+  @track isPostingToSlack = false;
+  @track slackError = "";
+
+  @wire(getSlackChannels)
+  wiredSlackChannels({ data, error }) {
+    if (data) {
+      this.slackChannels = data;
+    } else if (error) {
+      this.slackChannels = [];
+    }
+  }
 
   connectedCallback() {
     // Component initialization
@@ -44,21 +82,13 @@ export default class AccountResearch extends LightningElement {
     return this._accountId;
   }
 
+  // Runs are started by analysisTrigger; a new account only drops the
+  // results of the previous one
   set accountId(value) {
-    // Track previous value to detect changes
-    const oldValue = this._accountId;
-    this._accountId = value;
-    
-    // If accountId changed and we have a valid ID, trigger analysis
-    if (value && value !== oldValue && value !== this.previousAccountId) {
-      this.previousAccountId = value;
-      // Use setTimeout to ensure property is fully set
-      setTimeout(() => {
-        if (this.currentAccountId === value) {
-          this.handleResearch();
-        }
-      }, 100);
+    if (value !== this._accountId) {
+      this.dropActiveRun();
     }
+    this._accountId = value;
   }
 
   @api
@@ -67,14 +97,40 @@ export default class AccountResearch extends LightningElement {
   }
 
   set analysisTrigger(value) {
-    if (value && value !== this.previousTrigger && this.currentAccountId) {
+    this._analysisTrigger = value;
+    if (value && value !== this.previousTrigger) {
       this.previousTrigger = value;
-      // Use setTimeout to ensure this runs after the property is set
-      setTimeout(() => {
-        this.handleResearch();
-      }, 0);
+      afterPropertiesSet(() => {
+        if (this.currentAccountId && this._analysisTrigger === value) {
+          this.handleResearch();
+        }
+      });
     }
-    this._analysisTrigger = value;
+  }
+
+  // Drops the run in flight; its response is ignored when it arrives
+  @api
+  cancel() {
+    if (this.dropActiveRun()) {
+      this.reportStatus(CANCELLED);
+    }
+  }
+
+  // Returns true when there was a run to drop
+  dropActiveRun() {
+    if (!this.activeRunId) {
+      return false;
+    }
+    this.activeRunId = null;
+    this.isLoading = false;
+    this.stopLoadingMessages();
+    return true;
+  }
+
+  reportStatus(status, message) {
+    this.dispatchEvent(
+      statusEvent(RESEARCH_PANEL, this._analysisTrigger, status, message)
+    );
   }
 
   get currentAccountId() {
@@ -82,6 +138,8 @@ export default class AccountResearch extends LightningElement {
   }
 
   startLoadingMessages() {
+    // A run that replaces another must not leave its interval running
+    this.stopLoadingMessages();
     // Reset to first message
     this.loadingMessageIndex = 0;
     // Set initial message
@@ -103,9 +161,21 @@ export default class AccountResearch extends LightningElement {
   }
 
   handleResearch() {
+    this.runResearch(false);
+  }
+
+  // Runs a new web search even when a cached result is still fresh
+  handleRefreshNow() {
+    this.runResearch(true);
+  }
+
+  runResearch(forceRefresh) {
     this.isLoading = true;
     this.hasError = false;
     this.errorMessage = "";
+    // A new result needs a new preview and a new comparison
+    this.showSlackShare = false;
+    this.selectedVersionId = null;
     this.startLoadingMessages();
 
     const accountIdToUse = this.currentAccountId;
@@ -114,25 +184,45 @@ export default class AccountResearch extends LightningElement {
       this.errorMessage = "No account ID provided.";
       this.isLoading = false;
       this.stopLoadingMessages();
+      this.reportStatus(FAILED, this.errorMessage);
       return;
     }
 
-    getCompanyResearch({ accountId: accountIdToUse })
+    this.runSequence += 1;
+    const runId = this.runSequence;
+    this.activeRunId = runId;
+    this.reportStatus(
+      RUNNING,
+      forceRefresh ? "Searching the web" : "Researching the company"
+    );
+
+    getCompanyResearch({ accountId: accountIdToUse, forceRefresh })
       .then((result) => {
+        if (runId !== this.activeRunId) return;
         this.data = result;
+        // Lets the app include this research in exports
+        this.dispatchEvent(
+          new CustomEvent("researchloaded", { detail: { research: result } })
+        );
         if (!result || !result.overview) {
           this.showToast("Info", "No research results returned.", "info");
         }
+        this.loadVersions();
+        this.reportStatus(COMPLETE);
       })
       .catch((error) => {
+        if (runId !== this.activeRunId) return;
         this.hasError = true;
         this.errorMessage =
           error?.body?.message ||
           error?.message ||
           "Unable to research this account.";
         this.showToast("Error", this.errorMessage, "error");
+        this.reportStatus(FAILED, this.errorMessage);
       })
       .finally(() => {
+        if (runId !== this.activeRunId) return;
+        this.activeRunId = null;
         this.isLoading = false;
         this.stopLoadingMessages();
       });
@@ -146,6 +236,18 @@ export default class AccountResearch extends LightningElement {
     return !this.isLoading && !this.hasData && !this.hasError;
   }
 
+  get freshnessLabel() {
+    if (!this.data?.researchedAt) return null;
+    const asOf = formatDateTime(this.data.researchedAt, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit"
+    });
+    return "As of " + asOf + (this.data.fromCache ? " (cached)" : "");
+  }
+
   get hasAnyLink() {
     if (!this.data || !this.data.links) return false;
     const l = this.data.links;
@@ -177,10 +279,149 @@ export default class AccountResearch extends LightningElement {
     }
   };
 
+  get slackChannelOptions() {
+    return this.slackChannels.map((channel) => ({
+      label: channel.label,
+      value: channel.value
+    }));
+  }
+
+  get isSendToSlackDisabled() {
+    return (
+      !this.slackChannel ||
+      this.isPostingToSlack ||
+      this.isLoadingSlackPreview ||
+      !this.slackPreviewBlocks.length
+    );
+  }
+
   shareToSlack = () => {
-    this.showToast("Success", "Sent successfully to Slack", "success");
+    if (!this.slackChannels.length) {
+      this.showToast(
+        "Slack not configured",
+        "No Slack channels are set up. Ask your admin to add an Account Slack Channel.",
+        "warning"
+      );
+      return;
+    }
+
+    this.showSlackShare = true;
+    this.slackError = "";
+    if (!this.slackChannel) {
+      this.slackChannel = this.slackChannels[0].value;
+    }
+    this.loadSlackPreview();
   };
 
+  loadSlackPreview() {
+    this.isLoadingSlackPreview = true;
+    this.slackPreviewBlocks = [];
+
+    previewSlackMessage({
+      accountId: this.currentAccountId,
+      researchJson: JSON.stringify(this.data)
+    })
+      .then((payload) => {
+        this.slackPreviewBlocks = this.toPreviewBlocks(JSON.parse(payload));
+      })
+      .catch((error) => {
+        this.slackError =
+          error?.body?.message ||
+          error?.message ||
+          "Unable to build the Slack message.";
+      })
+      .finally(() => {
+        this.isLoadingSlackPreview = false;
+      });
+  }
+
+  handleSlackChannelChange(event) {
+    this.slackChannel = event.detail.value;
+  }
+
+  handleCancelSlack() {
+    this.showSlackShare = false;
+    this.slackError = "";
+  }
+
+  handleSendToSlack() {
+    this.isPostingToSlack = true;
+    this.slackError = "";
+
+    postToSlack({
+      accountId: this.currentAccountId,
+      channelKey: this.slackChannel,
+      researchJson: JSON.stringify(this.data)
+    })
+      .then((result) => {
+        this.showToast("Success", result, "success");
+        this.showSlackShare = false;
+      })
+      .catch((error) => {
+        // Keep the dialog open so the rep can retry or pick another channel
+        this.slackError =
+          error?.body?.message ||
+          error?.message ||
+          "Unable to post to Slack.";
+        this.showToast("Error", this.slackError, "error");
+      })
+      .finally(() => {
+        this.isPostingToSlack = false;
+      });
+  }
+
+  // Turns Block Kit blocks into rows the preview template can render
+  toPreviewBlocks(payload) {
+    const blocks = payload?.blocks || [];
+    return blocks.map((block, index) => {
+      const key = "block-" + index;
+      if (block.type === "header") {
+        return { key, isHeader: true, text: block.text?.text };
+      }
+      if (block.type === "context") {
+        return {
+          key,
+          isContext: true,
+          text: (block.elements || [])
+            .map((element) => this.slackToPlainText(element.text))
+            .join(" ")
+        };
+      }
+      if (block.fields) {
+        return {
+          key,
+          isFields: true,
+          fields: block.fields.map((field, fieldIndex) => {
+            const [label, ...value] = this.slackToPlainText(field.text).split(
+              "\n"
+            );
+            return {
+              key: key + "-" + fieldIndex,
+              label,
+              value: value.join(" ")
+            };
+          })
+        };
+      }
+      return {
+        key,
+        isSection: true,
+        text: this.slackToPlainText(block.text?.text)
+      };
+    });
+  }
+
+  // Slack mrkdwn to display text: <url|label> links, *bold* and entities
+  slackToPlainText(text) {
+    if (!text) return "";
+    return text
+      .replace(/<([^|>]+)\|([^>]+)>/g, "$2")
+      .replace(/\*([^*\n]+)\*/g, "$1")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&amp;/g, "&");
+  }
+
   handleSaveToRecord() {
     this.isSaving = true;
     const htmlContent = this.formatDataAsHtml();
@@ -192,9 +433,14 @@ export default class AccountResearch extends LightningElement {
       return;
     }
 
-    saveCompanyResearch({ accountId: accountIdToUse, htmlContent })
+    saveCompanyResearch({
+      accountId: accountIdToUse,
+      htmlContent,
+      researchJson: JSON.stringify(this.data)
+    })
       .then((result) => {
         this.showToast("Success", result, "success");
+        this.loadVersions();
       })
       .catch((error) => {
         const errorMsg =
@@ -208,6 +454,96 @@ export default class AccountResearch extends LightningElement {
       });
   }
 
+  loadVersions() {
+    const accountIdToUse = this.currentAccountId;
+    if (!accountIdToUse) {
+      this.versions = [];
+      return;
+    }
+
+    getResearchVersions({
+      accountId: accountIdToUse,
+      currentResearchJson: this.data ? JSON.stringify(this.data) : null
+    })
+      .then((result) => {
+        // Ignore versions for an account that is no longer shown
+        if (accountIdToUse !== this.currentAccountId) return;
+        this.versions = (result || []).map((version) =>
+          this.decorateVersion(version)
+        );
+      })
+      .catch(() => {
+        // The version list is secondary; the research itself is still shown
+        this.versions = [];
+      });
+  }
+
+  decorateVersion(version) {
+    const diff = version.diff;
+    let changeSummary = "Cannot be compared";
+    if (diff) {
+      changeSummary =
+        diff.changeCount === 0
+          ? "No changes"
+          : diff.changeCount +
+            (diff.changeCount === 1 ? " change" : " changes");
+    }
+    return {
+      ...version,
+      label: "Version " + version.version,
+      savedLabel:
+        formatDate(version.savedAt, {
+          year: "numeric",
+          month: "short",
+          day: "numeric"
+        }) + (version.savedBy ? " by " + version.savedBy : ""),
+      noteUrl: version.noteId
+        ? "/lightning/r/ContentDocument/" + version.noteId + "/view"
+        : null,
+      changeSummary,
+      cannotCompare: !diff,
+      hasChanges: !!diff && diff.changeCount > 0,
+      fieldChanges: (diff?.fieldChanges || []).map((change) => ({
+        ...change,
+        previousValue: change.previousValue || "—",
+        currentValue: change.currentValue || "—",
+        rowClass: "diff-row diff-" + change.changeType.toLowerCase()
+      })),
+      joinedExecutives: (diff?.joinedExecutives || []).join(", "),
+      departedExecutives: (diff?.departedExecutives || []).join(", "),
+      newHeadlines: diff?.newHeadlines || []
+    };
+  }
+
+  get hasVersions() {
+    return this.versions.length > 0;
+  }
+
+  get selectedVersion() {
+    return (
+      this.versions.find(
+        (version) => version.versionId === this.selectedVersionId
+      ) || null
+    );
+  }
+
+  get versionItems() {
+    return this.versions.map((version) => ({
+      ...version,
+      isSelected: version.versionId === this.selectedVersionId,
+      toggleIcon:
+        version.versionId === this.selectedVersionId
+          ? "utility:chevrondown"
+          : "utility:chevronright"
+    }));
+  }
+
+  handleVersionToggle(event) {
+    const versionId = event.currentTarget.dataset.id;
+    this.selectedVersionId =
+      this.selectedVersionId === versionId ? null : versionId;
+  }
+
   formatDataAsHtml() {
     if (!this.data) return "";
 